@@ -29,8 +29,8 @@
 <div class="row">
 	<div class="offset6 span6 right-align loginArea">
 		<a href="#login" role="button" data-toggle="modal"><span class="btn btn-mini"> Login  </span></a> 
-		<a href="register.php"><span class="btn btn-mini btn-success"> Register  </span></a> 
-		<a href="checkout.php"><span class="btn btn-mini btn-danger"> Cart </span></a> 
+		<a href="/register"><span class="btn btn-mini btn-success"> Register  </span></a> 
+		<a href="/cart"><span class="btn btn-mini btn-danger"> Cart </span></a> 
 	</div>
 </div>
 
@@ -41,21 +41,16 @@
 	<h3>Sell Anythings : Login Block</h3>
   </div>
   <div class="modal-body">
-	<form class="form-horizontal loginFrm">
+	<form class="form-horizontal loginFrm" method="post" action="/login">
 	  <div class="control-group">								
-		<input type="text" id="inputEmail" placeholder="Email">
+		<input type="text" id="inputUsername" name="username" placeholder="Username">
 	  </div>
 	  <div class="control-group">
-		<input type="password" id="inputPassword" placeholder="Password">
+		<input type="password" id="inputPassword" name="password" placeholder="Password">
 	  </div>
-	  <div class="control-group">
-		<label class="checkbox">
-		<input type="checkbox"> Remember me
-		</label>
-	  </div>
-	</form>		
-	<button type="submit" class="btn btn-success">Sign in</button>
-	<button class="btn" data-dismiss="modal" aria-hidden="true">Close</button>
+	  <button type="submit" class="btn btn-success">Sign in</button>
+	  <button type="button" class="btn" data-dismiss="modal" aria-hidden="true">Close</button>
+	</form>
   </div>
 </div>
 
@@ -65,15 +60,13 @@
 	<div class="nav-collapse">
 		<ul id="topMenu" class="nav pull-right">
 		 <li class="">
-		 <form class="form-inline navbar-search" method="post" action="products.php" style="padding-top:5px;">
-			<select class="span3" style="padding:11px 4px; height:auto">
-				<option>All</option>
-				<option>Clothes </option>
-				<option>Women's Wear </option>
-				<option>Men's Wear </option>
-				<option>Kids Wear </option>
+		 <form class="form-inline navbar-search" method="get" action="/products" style="padding-top:5px;">
+			<select class="span3" name="category" style="padding:11px 4px; height:auto">
+				<option value="">All</option>
+				<option value="hat">Hats </option>
+				<option value="glasses">Glasses </option>
 			</select> 
-			<input class="span4" type="text" placeholder="eg. T-shirt" style="padding:11px 4px;">
+			<input class="span4" type="text" name="q" placeholder="eg. bowler" style="padding:11px 4px;">
 			<button type="submit" class="btn btn-warning btn-large" style="margin-top:0"> GO </button>
 		</form>
 		</li>
@@ -96,6 +89,8 @@
 	<div style="float:left; width:50%;">
   	<script type="text/javascript" src="jquery-1.10.2.js"></script>	
 	<script type="text/javascript" src="glmatrix.js"></script>	
+	<script type="text/javascript" src="/obj-parser.js"></script>
+	<script type="text/javascript" src="/mesh-renderer.js"></script>
 	<script type="text/javascript" src="obj-module.js"></script>	
 	<script type="text/javascript" src="webgl-utils.js"></script>
 	<script id = "shader-fs" type="x-shader/x-fragment">
@@ -147,18 +147,6 @@ function drawScene() {
         
         //mat4.translate(mvMatrix, mvMatrix, [0, 0, 1.0]);
         
-        //Bind Vertex Locations
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, modelVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Normals
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, modelVertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Texture Face Coords
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, modelVertexTextureBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
         /*//Textures
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, modelTexture);
@@ -200,10 +188,8 @@ function drawScene() {
             -3.0
         );
         
-        //Bind Vertex Indicies and draw
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, modelVertexIndexBuffer);
         setMatrixUniforms();
-        gl.drawElements(gl.TRIANGLES, modelVertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        drawMesh(gl, modelBuffers);
         mvPopMatrix();
     }
 }
@@ -280,183 +266,11 @@ var timeNow = new Date().getTime();
 }
 
 
-var modelVertexPositionBuffer;
-var modelVertexTextureBuffer;
-var modelVertexIndexBuffer;
-var modelVertexNormalBuffer;
-var normalAccumilator;
+// Buffers from uploadMesh().
+var modelBuffers;
 function finishedModelDownload(data){
-    //debugger;
-
-    var text= String(data);
-    var lines = text.split(/\n/);
-    normalAccumilator = new Array();
-    scene.vertices = new Array();
-
-    var vertex_pattern = /v( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var normal_pattern = /vn( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var uv_pattern = /vt( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var face_pattern1 = /f( +\d+)( +\d+)( +\d+)( +\d+)?/;
-    var face_pattern2 = /f( +(\d+)\/(\d+))( +(\d+)\/(\d+))( +(\d+)\/(\d+))( +(\d+)\/(\d+))?/;
-    var face_pattern3 = /f( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))?/;
-    var face_pattern4 = /f( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))?/
-
-    for(var i =0; i < lines.length; i++){
-        var line = lines[i];
-
-        if(line.length === 0 || line[0] === '#'){
-            continue;
-        }
-        else if ( ( result = vertex_pattern.exec( line ) ) !== null ) {
-            // ["v 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
-            scene.vertices.push(parseFloat( result[ 1 ] ));
-            scene.vertices.push(parseFloat( result[ 2 ] ));
-            scene.vertices.push(parseFloat( result[ 3 ] ));
-            normalAccumilator.push(vec3.create());
-
-
-        } else if ( ( result = normal_pattern.exec( line ) ) !== null ) {
-            // ["vn 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
-        } else if ( ( result = uv_pattern.exec( line ) ) !== null ) {
-            // ["vt 0.1 0.2", "0.1", "0.2"]
-        } else if ( ( result = face_pattern1.exec( line ) ) !== null ) {
-            // just a mesh, no textures or normals
-            // ["f 1 2 3", "1", "2", "3", undefined]
-            if ( result[ 4 ] === undefined ) {
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[2] )-1,parseInt( result[3] )-1);
-                scene.faces.push(tempFace);        
-            } else {
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[2] )-1,parseInt( result[3] )-1);
-                scene.faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[3] )-1,parseInt( result[4] )-1);
-                scene.faces.push(tempFace);
-            }
-
-        } else if ( ( result = face_pattern2.exec( line ) ) !== null ) {
-            // ["f 1/1 2/2 3/3", " 1/1", "1", "1", " 2/2", "2", "2", " 3/3", "3", "3", undefined, undefined, undefined]
-            if ( result[ 10 ] === undefined ) {
-                tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                scene.faces.push(tempFace);        
-            } else {
-                tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                scene.faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[8] )-1,parseInt( result[11] )-1);
-                scene.faces.push(tempFace);
-            }
-
-        } else if ( ( result = face_pattern3.exec( line ) ) !== null ) {
-
-            // ["f 1/1/1 2/2/2 3/3/3", " 1/1/1", "1", "1", "1", " 2/2/2", "2", "2", "2", " 3/3/3", "3", "3", "3", undefined, undefined, undefined, undefined]
-
-        } else if ( ( result = face_pattern4.exec( line ) ) !== null ) {
-            // ["f 1//1 2//2 3//3", " 1//1", "1", "1", " 2//2", "2", "2", " 3//3", "3", "3", undefined, undefined, undefined]
-        } else if ( /^o /.test( line ) ) {            
-            // object
-        } else if ( /^g /.test( line ) ) {
-            // group
-        } else if ( /^usemtl /.test( line ) ) {
-            // material
-            //material.name = line.substring( 7 ).trim();
-        } else if ( /^mtllib /.test( line ) ) {
-            // mtl file
-        } else if ( /^s /.test( line ) ) {
-            // smooth shading
-        } else {
-           // console.log( "THREE.OBJLoader: Unhandled line " + line );
-        }
-    }
-    console.log(scene.faces.length);
-    for(var i = 0; i < scene.faces.length; i++){
-        var currFace = scene.faces[i];
-        var vec12 = vec3.fromValues(
-            scene.vertices[currFace[1]*3]-scene.vertices[currFace[0]*3],
-            scene.vertices[currFace[1]*3+1]-scene.vertices[currFace[0]*3+1],
-            scene.vertices[currFace[1]*3+2]-scene.vertices[currFace[0]*3+2]);
-        var vec23 = vec3.fromValues(
-            scene.vertices[currFace[2]*3]-scene.vertices[currFace[1]*3],
-            scene.vertices[currFace[2]*3+1]-scene.vertices[currFace[1]*3+1],
-            scene.vertices[currFace[2]*3+2]-scene.vertices[currFace[1]*3+2]);
-        var cross12_23 = vec3.create();
-        vec3.cross(cross12_23, vec12, vec23);
-       
-        
-        vec3.add(normalAccumilator[currFace[0]], normalAccumilator[currFace[0]], cross12_23);
-        vec3.add(normalAccumilator[currFace[1]], normalAccumilator[currFace[1]], cross12_23);
-        vec3.add(normalAccumilator[currFace[2]], normalAccumilator[currFace[2]], cross12_23);
-    }
-    for(var i = 0; i < normalAccumilator.length; i++){
-        vec3.normalize(normalAccumilator[i],normalAccumilator[i]);
-    }
-
-    modelVertexNormalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexNormalBuffer);
-    var vertexNormals = [];
-    for(var i = 0; i < normalAccumilator.length; i++){
-        vertexNormals.push(normalAccumilator[i][0]);
-        vertexNormals.push(normalAccumilator[i][1]);
-        vertexNormals.push(normalAccumilator[i][2]);
-    }
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertexNormals), gl.STATIC_DRAW);
-    modelVertexNormalBuffer.itemSize = 3;
-    modelVertexNormalBuffer.numItems = normalAccumilator.length;
-
-
-    modelVertexPositionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexPositionBuffer);
-
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(scene.vertices), gl.STATIC_DRAW);
-    modelVertexPositionBuffer.itemSize = 3;
-    modelVertexPositionBuffer.numItems = scene.vertices.length/3;
-
-
-    modelVertexTextureBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-    var textureCoords = [
-      // Front face
-      0.0, 0.9,
-      0.1, 0.95,
-      0.15, 1.0,
-      0.2, 0.8,
-      0.25, 0.85,
-      0.3, 0.4,
-      0.35, 0.5,
-      0.4, 0.55,
-      0.45, 0.33,
-      0.5, 0.7,
-      0.6, 0.45,
-      0.65, 0.2,
-      0.7, 0.75,
-      0.75, 0.25,
-      0.8, 0.1,
-      0.85, 0.15,
-      0.9, 0.05,
-      0.95, 0.7,
-      1.0, 0.67
-    ];
-    var texture = [];
-    for(var i = 0; i < scene.vertices.length/3; i++){
-        texture.push(textureCoords[i%textureCoords.length]);
-        texture.push(textureCoords[i%textureCoords.length+1]);
-    }
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texture), gl.STATIC_DRAW);
-    modelVertexTextureBuffer.itemSize = 2;
-    modelVertexTextureBuffer.numItems = scene.vertices.length/3;
-
-
-    modelVertexIndexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, modelVertexIndexBuffer);
-    var modelVertexIndices = [];
-    for (var i = 0; i < scene.faces.length; i++) {
-        var face = scene.faces[i];
-        modelVertexIndices.push(face[0]);
-        modelVertexIndices.push(face[1]);
-        modelVertexIndices.push(face[2]);
-    }
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(modelVertexIndices), gl.STATIC_DRAW);
-    modelVertexIndexBuffer.itemSize = 1;
-    modelVertexIndexBuffer.numItems = modelVertexIndices.length;
-
-
+    var mesh = OBJParser.parse(String(data));
+    modelBuffers = uploadMesh(gl, mesh);
     modelLoaded = true;
     //drawScene();
 }
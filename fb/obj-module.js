@@ -147,18 +147,6 @@ function drawScene() {
 
         //mat4.translate(mvMatrix, mvMatrix, [0, 0, 1.0]);
         
-        //Bind Vertex Locations
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, modelVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Normals
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, modelVertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Texture Face Coords
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, modelVertexTextureBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
         gl.uniform3f(
             shaderProgram.ambientColorUniform,
             0.1,
@@ -190,11 +178,8 @@ function drawScene() {
             55.0
         );
         
-        //Bind Vertex Indicies and draw
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, modelVertexIndexBuffer);
         setMatrixUniforms();
-        gl.drawArrays(gl.TRIANGLES, 0, modelVertexIndexBuffer.numItems);
-        //gl.drawElements(gl.TRIANGLES, modelVertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        drawMesh(gl, modelBuffers);
         mvPopMatrix();
     }
 
@@ -208,18 +193,6 @@ function drawScene() {
 
         //mat4.translate(mvMatrix, mvMatrix, [0, 0, 1.0]);
         
-        //Bind Vertex Locations
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, pVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Normals
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, pVertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Texture Face Coords
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, modelVertexTextureBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
         gl.uniform3f(
             shaderProgram.ambientColorUniform,
             0.1,
@@ -251,11 +224,8 @@ function drawScene() {
             55.0
         );
         
-        //Bind Vertex Indicies and draw
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, pVertexIndexBuffer);
         setMatrixUniforms();
-        //gl.drawArrays(gl.TRIANGLES, 0, modelVertexIndexBuffer.numItems);
-        gl.drawElements(gl.TRIANGLES, pVertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        drawMesh(gl, pBuffers);
         mvPopMatrix();
         //gl.drawArrays(gl.TRIANGLES, 0, modelVertexIndexBuffer.numItems);
     }
@@ -337,270 +307,25 @@ function tick() {
     requestAnimFrame(tick);
 }
 
-var modelVertexPositionBuffer;
-var modelVertexTextureBuffer;
-var modelVertexIndexBuffer;
-var modelVertexNormalBuffer;
-
-var pVertexPositionBuffer;
-var pVertexTextureBuffer;
-var pVertexIndexBuffer;
-var pVertexNormalBuffer;
+// Buffers from uploadMesh() for the head and the accessory.
+var modelBuffers;
+var pBuffers;
 
 var avex = 0;
 var avey = 0;
 var avez = 0;
 
-var maxx = 0;
-var minx = 0;
-var maxy = 0;
-var miny = 0;
-var maxz = 0;
-var minz = 0;
 function finishedModelDownload(data, isModel) {
-    //debugger
-    var text= String(data);
-    var lines = text.split(/\n/);
-    var normalAccumilator = new Array();
-    var vertices = new Array();
-    var faces = new Array();
-    var normals = [];
-    var vertex_pattern = /v( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var normal_pattern = /vn( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var uv_pattern = /vt( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var face_pattern1 = /f( +\d+)( +\d+)( +\d+)( +\d+)?/;
-    var face_pattern2 = /f( +(\d+)\/(\d+))( +(\d+)\/(\d+))( +(\d+)\/(\d+))( +(\d+)\/(\d+))?/;
-    var face_pattern3 = /f( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))?/;
-    var face_pattern4 = /f( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))?/;
-
-    var vc = 0;
-    
-    for (var i =0; i < lines.length; i++) {
-        var line = lines[i];
-        if (line[0] == 'v' && line[1] == ' ') {
-            lineshit = line.split(" ");
-            if (lineshit.length != 4) console.log("holly shittt");
-            vertices.push(parseFloat( lineshit[ 1 ] ));
-            vertices.push(parseFloat( lineshit[ 2 ] ));
-            vertices.push(parseFloat( lineshit[ 3 ] ));
-            avex += parseFloat( lineshit[ 1 ] );
-            avey += parseFloat( lineshit[ 2 ] );
-            avez += parseFloat( lineshit[ 3 ] );
-            normalAccumilator.push(vec3.create(0,0,0));
-            maxx = Math.max(maxx, lineshit[ 1 ]);
-            maxz = Math.max(maxz, lineshit[ 3 ]);
-            minx = Math.min(minx, lineshit[ 1 ]);
-            minz = Math.min(minz, lineshit[ 3 ]);
-            miny = Math.min(miny, lineshit[ 2 ]);
-            maxy = Math.max(maxy, lineshit[ 2 ]);
-            vc++;
-        }
-        if (line.length === 0 || line[0] === '#') {
-            continue;
-        } else if ( ( result = vertex_pattern.exec( line ) ) !== null ) {
-            // ["v 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
-            /*scene.vertices.push(parseFloat( result[ 1 ] ));
-            scene.vertices.push(parseFloat( result[ 2 ] ));
-            scene.vertices.push(parseFloat( result[ 3 ] ));
-            normalAccumilator.push(vec3.create(0,0,0));*/
-
-        } else if ( ( result = normal_pattern.exec( line ) ) !== null ) {
-            //["vn 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
-            normals.push(parseFloat( result[1]));
-            normals.push(parseFloat( result[2]));
-            normals.push(parseFloat( result[3]));
-
-        } else if ( ( result = uv_pattern.exec( line ) ) !== null ) {
-            // ["vt 0.1 0.2", "0.1", "0.2"]
-        } else if ( ( result = face_pattern1.exec( line ) ) !== null ) {
-            // just a mesh, no textures or normals
-            // ["f 1 2 3", "1", "2", "3", undefined]
-            if ( result[ 4 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[2] )-1,parseInt( result[3] )-1);
-                faces.push(tempFace);        
-            } else {
-                var tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[2] )-1,parseInt( result[3] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[3] )-1,parseInt( result[4] )-1);
-                faces.push(tempFace);
-            }
-        } else if ( ( result = face_pattern2.exec( line ) ) !== null ) {
-            // ["f 1/1 2/2 3/3", " 1/1", "1", "1", " 2/2", "2", "2", " 3/3", "3", "3", undefined, undefined, undefined]
-            if ( result[ 10 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);        
-            } else {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[8] )-1,parseInt( result[11] )-1);
-                faces.push(tempFace);
-            }
-        } else if ( ( result = face_pattern3.exec( line ) ) !== null ) {
-            console.log("broke");
-            // ["f 1/1/1 2/2/2 3/3/3", " 1/1/1", "1", "1", "1", " 2/2/2", "2", "2", "2", " 3/3/3", "3", "3", "3", undefined, undefined, undefined, undefined]
-
-        } else if ( ( result = face_pattern4.exec( line ) ) !== null ) {
-            if ( result[ 10 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);        
-            } else {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[8] )-1,parseInt( result[11] )-1);
-                faces.push(tempFace);
-            }
-            // ["f 1//1 2//2 3//3", " 1//1", "1", "1", " 2//2", "2", "2", " 3//3", "3", "3", undefined, undefined, undefined]
-        } else if ( /^o /.test( line ) ) {            
-            // object
-        } else if ( /^g /.test( line ) ) {
-            // group
-        } else if ( /^usemtl /.test( line ) ) {
-            // material
-            //material.name = line.substring( 7 ).trim();
-        } else if ( /^mtllib /.test( line ) ) {
-            // mtl file
-        } else if ( /^s /.test( line ) ) {
-            // smooth shading
-        } else {
-           // console.log( "THREE.OBJLoader: Unhandled line " + line );
-        }
-    }
-    avex = avex / vc;
-    avey = avey / vc;
-    avez = avez / vc;
-    console.log(faces.length);
-    console.log("norm: " + normalAccumilator.length);
-    console.log("verts: " + vertices.length);
-    console.log("actual vc: " + vc);
-    console.log("xrange: " + minx + " < -- > " + maxx);
-    console.log("yrange: " + miny + " < -- > " + maxy);
-    console.log("zrange: " + minz + " < -- > " + maxz);
-    console.log("ave: " + avex + " " + avey + " " + avez);
-
-    console.log(faces[0]);
-    console.log(faces[1]);
-
-    console.log(vertices[0] + " " + vertices[1]);
-
-    for (var i = 0; i < faces.length; i++) {
-        var currFace = faces[i];
-        var vec12 = vec3.fromValues(
-            vertices[currFace[1]*3]-vertices[currFace[0]*3],
-            vertices[currFace[1]*3+1]-vertices[currFace[0]*3+1],
-            vertices[currFace[1]*3+2]-vertices[currFace[0]*3+2]);
-        var vec23 = vec3.fromValues(
-            vertices[currFace[2]*3]-vertices[currFace[1]*3],
-            vertices[currFace[2]*3+1]-vertices[currFace[1]*3+1],
-            vertices[currFace[2]*3+2]-vertices[currFace[1]*3+2]);
-        var cross12_23 = vec3.create();
-        vec3.cross(cross12_23, vec12, vec23);
-        if (currFace == null) console.log("broken");
-        try{
-            vec3.add(normalAccumilator[currFace[0]], normalAccumilator[currFace[0]], cross12_23);
-            vec3.add(normalAccumilator[currFace[1]], normalAccumilator[currFace[1]], cross12_23);
-            vec3.add(normalAccumilator[currFace[2]], normalAccumilator[currFace[2]], cross12_23);
-        } catch(e) {
-            console.log(normalAccumilator[currFace[0]]);
-            console.log(currFace[0] + " " + currFace[1] + " " + currFace[2]);
-        }   
-    }
-
-    for (var i = 0; i < normalAccumilator.length; i++) {
-        vec3.normalize(normalAccumilator[i],normalAccumilator[i]);
-    }
-
+    var mesh = OBJParser.parse(String(data));
     if (isModel) {
-        modelVertexNormalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexNormalBuffer);
-        var vertexNormals = [];
-        for (var i = 0; i < normalAccumilator.length; i++) {
-            vertexNormals.push(normalAccumilator[i][0]);
-            vertexNormals.push(normalAccumilator[i][1]);
-            vertexNormals.push(normalAccumilator[i][2]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertexNormals), gl.STATIC_DRAW);
-        modelVertexNormalBuffer.itemSize = 3;
-        modelVertexNormalBuffer.numItems = normalAccumilator.length;
-
-        modelVertexPositionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexPositionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
-        modelVertexPositionBuffer.itemSize = 3;
-        modelVertexPositionBuffer.numItems = vertices.length/3;
-
-        modelVertexTextureBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        var textureCoords = [
-          // Front
-        ];
-        var texture = [];
-        for (var i = 0; i < vertices.length/3; i++) {
-            texture.push(textureCoords[i%textureCoords.length]);
-            texture.push(textureCoords[i%textureCoords.length+1]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texture), gl.STATIC_DRAW);
-        modelVertexTextureBuffer.itemSize = 2;
-        modelVertexTextureBuffer.numItems = vertices.length/3;
-
-        modelVertexIndexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, modelVertexIndexBuffer);
-        var modelVertexIndices = [];
-        for (var i = 0; i < faces.length; i++) {
-            var face = faces[i];
-            modelVertexIndices.push(face[0]);
-            modelVertexIndices.push(face[1]);
-            modelVertexIndices.push(face[2]);
-        }
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(modelVertexIndices), gl.STATIC_DRAW);
-        modelVertexIndexBuffer.itemSize = 1;
-        modelVertexIndexBuffer.numItems = modelVertexIndices.length;
-        modelLoaded = true;
+        avex = mesh.center[0];
+        avey = mesh.center[1];
+        avez = mesh.center[2];
 
+        modelBuffers = uploadMesh(gl, mesh);
+        modelLoaded = true;
     } else {
-        pVertexNormalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexNormalBuffer);
-        var vertexNormals = [];
-        for (var i = 0; i < normalAccumilator.length; i++) {
-            vertexNormals.push(normalAccumilator[i][0]);
-            vertexNormals.push(normalAccumilator[i][1]);
-            vertexNormals.push(normalAccumilator[i][2]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertexNormals), gl.STATIC_DRAW);
-        pVertexNormalBuffer.itemSize = 3;
-        pVertexNormalBuffer.numItems = normalAccumilator.length;
-
-        pVertexPositionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexPositionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
-        pVertexPositionBuffer.itemSize = 3;
-        pVertexPositionBuffer.numItems = vertices.length/3;
-
-        modelVertexTextureBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        var textureCoords = [
-          // Front face
-        ];
-        var texture = [];
-        for (var i = 0; i < vertices.length/3; i++) {
-            texture.push(textureCoords[i%textureCoords.length]);
-            texture.push(textureCoords[i%textureCoords.length+1]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texture), gl.STATIC_DRAW);
-        modelVertexTextureBuffer.itemSize = 2;
-        modelVertexTextureBuffer.numItems = vertices.length/3;
-
-        pVertexIndexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, pVertexIndexBuffer);
-        var modelVertexIndices = [];
-        for (var i = 0; i < faces.length; i++) {
-            var face = faces[i];
-            modelVertexIndices.push(face[0]);
-            modelVertexIndices.push(face[1]);
-            modelVertexIndices.push(face[2]);
-        }
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(modelVertexIndices), gl.STATIC_DRAW);
-        pVertexIndexBuffer.itemSize = 1;
-        pVertexIndexBuffer.numItems = modelVertexIndices.length;
+        pBuffers = uploadMesh(gl, mesh);
         pLoaded = true;
     }
 }
@@ -1,47 +1,238 @@
 var url = require('url');
+var path = require('path');
+var crypto = require('crypto');
 var express = require("express");
 var app = express();
 
+var upload = require('./lib/upload');
+var handlers = require('./lib/handlers');
+var accessories = require('./lib/accessories');
+var thumbnails = require('./lib/thumbnails');
+var carts = require('./lib/carts');
+var measure = require('./lib/measure');
+var lods = require('./lib/lods');
+var binaryMeshes = require('./lib/binary-meshes');
+var api = require('./lib/api');
+
 app.set('view engine', 'jade')
-// #Session stuff:
-app.use(express.static(__dirname + '/public'))
 app.use(express.cookieParser());
-app.use(express.bodyParser());
-
-var models = [];
-function new_model(req, res){
-    var temp_model = {
-        name: req.body.name,
-        url: "/view/" + req.files.model.path
-    }
-    models.unshift(temp_model);
-    models.push("new");
-    console.log(req.body);
-    console.log(req.files.model.path);
-    File.move(req.files.model.path, obj_file_name, function(err){
-        if(err)
-        {
-            console.log("There was an error moving the file to uploads");
-            console.log(err);
-            callback(err);
-        }
-        else
-        {
-            console.log("File saved!");
-            req.redirect("/view/" + req.files.model.path);
-        } 
+// Sessions live in memory, so a restart logs everyone out. Set
+// SESSION_SECRET to keep cookies valid across restarts once that changes.
+app.use(express.session({
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false
+}));
+app.use(handlers.load_user);
+// Private heads' files are under public/ too.
+app.use(handlers.check_files);
+app.use(handlers.mesh_headers);
+app.use(express.static(__dirname + '/public'))
+// The API reads its own bodies, so a bad one gets a JSON error too.
+app.use('/api/v1', api);
+// A model, its material and its texture may each be up to MAX_UPLOAD_BYTES.
+app.use(express.bodyParser({limit: 3 * upload.MAX_UPLOAD_BYTES}));
+
+app.get("/", handlers.load_heads, handlers.load_looks, handlers.load_orders, function(req, res){
+    res.render("main", {models: req.heads, looks: req.looks, orders: req.orders, thumbnailURL: thumbnails.url});
+});
+
+// Where to go after logging in: back to the page that asked, as long as it
+// is one of ours.
+function localURL(next){
+    return typeof next === 'string' && /^\/(?!\/)/.test(next) ? next : "/";
+}
+
+// Failed logins and registrations go back to the form, saying why.
+function account_form(view){
+    return function(err, req, res, next){
+        if(!err.status || err.status === 500) return next(err);
+        res.status(err.status);
+        res.render(view, {message: err.message, next: localURL(req.body.next), username: req.body.username || ""});
+    };
+}
+
+app.get("/login", function(req, res){
+    res.render("login", {message: null, next: localURL(req.query.next), username: ""});
+});
+app.post("/login", handlers.login, function(req, res){
+    res.redirect(localURL(req.body.next));
+}, account_form("login"));
+app.get("/register", function(req, res){
+    res.render("register", {message: null, next: localURL(req.query.next), username: ""});
+});
+app.post("/register", handlers.register, function(req, res){
+    res.redirect(localURL(req.body.next));
+}, account_form("register"));
+app.post("/logout", handlers.logout, function(req, res){
+    res.redirect("/");
+});
+
+app.post("/new", handlers.require_user, handlers.new_model, function(req, res){
+    res.redirect("/view/" + req.head._id);
+});
+// The model's levels of detail for the viewer to choose from, with the
+// URLs they are served at under `base`.
+function levelURLs(name, base){
+    return lods.levels(name).map(function(level){
+        return {level: level.level, faces: level.faces, pixels: level.pixels, url: base + level.file};
     });
 }
-function view_model(req, res){
-    var name = req.params.filename;
-    console.log("name: " + name);
-    res.render("model", {filenamer: name});
+
+app.get("/view/:filename", handlers.check_head, handlers.load_look, handlers.load_fits, handlers.load_size, handlers.load_accessories, function(req, res){
+    res.render("model", {
+        filenamer: req.params.filename,
+        fits: req.fits,
+        look: req.look && req.look.head === req.params.filename ? req.look : null,
+        levels: levelURLs(req.params.filename, "/models/"),
+        size: req.size,
+        accessories: req.accessories,
+        categories: accessories.categories(),
+        category: req.query.category || null,
+        formatPrice: accessories.formatPrice,
+        thumbnailURL: thumbnails.url
+    });
+});
+app.post("/view/:filename/fits", handlers.check_owner, handlers.load_accessory, handlers.save_fit, function(req, res){
+    res.json(req.fit);
+});
+app.get("/view/:filename/size", handlers.check_head, handlers.head_size);
+app.get("/thumbs/:model/:view.png", handlers.thumbnail);
+
+app.post("/looks", handlers.require_user, handlers.save_look, function(req, res){
+    res.json(req.look);
+});
+app.get("/looks/:look", handlers.load_look, function(req, res){
+    res.redirect("/view/" + req.look.head + "?look=" + req.look._id);
+});
+
+// Share links: a read-only viewer for a look, with the Open Graph and
+// Twitter tags share targets read, private until the owner says otherwise.
+app.post("/looks/:look/shares", handlers.require_user, handlers.load_look, handlers.create_share, handlers.share_links, function(req, res){
+    res.format({
+        html: function(){
+            res.redirect("/shares/" + req.share._id);
+        },
+        json: function(){
+            res.status(201);
+            res.json({_id: req.share._id, public: req.share.public, url: req.shareURL});
+        }
+    });
+});
+app.get("/shares/:share", handlers.load_share, handlers.share_links, handlers.load_accessories, function(req, res){
+    var titles = {};
+    req.accessories.forEach(function(item){ titles[item.name] = item.title; });
+    res.render("share", {
+        share: req.share,
+        own: req.ownShare,
+        levels: levelURLs(req.share.head, "/shares/" + req.share._id + "/models/"),
+        wearing: req.share.accessories.map(function(item){ return titles[item.accessory] || item.accessory; }),
+        shareURL: req.shareURL,
+        previewURL: req.previewURL,
+        postURL: req.postURL,
+        preview: handlers.PREVIEW_SIZE
+    });
+});
+app.post("/shares/:share", handlers.load_share, handlers.update_share, function(req, res){
+    res.redirect("/shares/" + req.share._id);
+});
+app.get("/shares/:share/preview.png", handlers.load_share, handlers.share_preview);
+app.get("/shares/:share/models/:file", handlers.load_share, handlers.share_file);
+app.get("/shares/:share/post", handlers.load_share, handlers.share_links, function(req, res){
+    res.redirect(req.postURL);
+});
+// What SHARE_TARGET=stub posts to.
+app.get("/share-stub", handlers.share_stub, function(req, res){
+    res.render("share-stub", {shareURL: req.shareURL, tags: req.tags});
+});
+
+// The catalog, searchable. The page asks itself for each new set of
+// filters and animates the list to match.
+var PRICE_STEPS = [2500, 3000, 4000, 5000, 6000];
+
+app.get("/products", handlers.search_accessories, function(req, res){
+    res.render("products", {
+        products: req.accessories,
+        search: req.search,
+        categories: accessories.categories(),
+        sizes: measure.LETTER_SIZES,
+        priceSteps: PRICE_STEPS,
+        formatPrice: accessories.formatPrice,
+        thumbnailURL: thumbnails.url
+    });
+});
+
+// The cart works for anyone; checking out needs an account.
+app.get("/cart", handlers.load_cart, function(req, res){
+    res.render("cart", {cart: req.cartLines, formatPrice: accessories.formatPrice, maxQuantity: carts.MAX_QUANTITY});
+});
+app.post("/cart", handlers.load_cart, handlers.ensure_cart, handlers.add_to_cart, function(req, res){
+    res.redirect("/cart");
+});
+app.post("/cart/:accessory", handlers.load_cart, handlers.update_cart, function(req, res){
+    res.redirect("/cart");
+});
+
+function render_checkout(req, res, message){
+    res.render("checkout", {
+        cart: req.cartLines,
+        formatPrice: accessories.formatPrice,
+        message: message,
+        name: req.body.name || "",
+        address: req.body.address || ""
+    });
 }
 
-app.get("/", function(req, res){
-    res.render("main", {models: models});
+app.get("/checkout", handlers.require_user, handlers.load_cart, function(req, res){
+    if(!req.cartLines.items.length) return res.redirect("/cart");
+    render_checkout(req, res, null);
+});
+app.post("/checkout", handlers.require_user, handlers.load_cart, handlers.checkout, function(req, res){
+    res.redirect("/orders/" + req.order._id);
+}, function(err, req, res, next){
+    // Refused cards and missing details go back to the form, saying why.
+    if(!err.status || err.status === 500 || err.status === 401) return next(err);
+    res.status(err.status);
+    render_checkout(req, res, err.message);
+});
+app.get("/orders/:order", handlers.require_user, handlers.load_order, function(req, res){
+    res.render("order", {order: req.order, formatPrice: accessories.formatPrice});
+});
+
+// Upload errors carry the HTTP status to answer with; anything else is ours.
+// Rejected models also carry the validator's report, which we show in full.
+// Pages that need a login send the browser to log in and come back.
+app.use(function(err, req, res, next){
+    console.log(err);
+    var status = err.status || 500;
+    var message = status === 500 ? "Something went wrong on our end." : err.message;
+    var problems = err.report ? err.report.problems : [];
+    res.status(status);
+    res.format({
+        html: function(){
+            if(status === 401){
+                return res.redirect("/login?next=" + encodeURIComponent(req.method === 'GET' ? req.originalUrl : "/"));
+            }
+            res.render("upload_error", {message: message, problems: problems});
+        },
+        json: function(){
+            res.json({error: message, problems: problems});
+        },
+        text: function(){
+            res.send(message);
+        }
+    });
 });
 
-app.post("/new", new_model);
-app.get("/view/:filename",view_model);
-app.listen(3030);
\ No newline at end of file
+app.listen(process.env.PORT || 3030);
+
+// Catalog models get their levels of detail the first time the server
+// starts with them, and binary copies whenever those are missing or older
+// than the OBJ; uploads get both straight away.
+accessories.list(function(err, found){
+    if(err) return console.log("Couldn't list the catalog: " + err.message);
+    var names = found.map(function(entry){ return path.basename(entry.files.obj, '.obj'); });
+    lods.ensure(names, function(){
+        binaryMeshes.ensure(names, function(){});
+    });
+});
@@ -0,0 +1,166 @@
+var fs = require('fs');
+var path = require('path');
+var Store = require('./store');
+var upload = require('./upload');
+var modelFiles = require('./model-files');
+
+// The accessory catalog: what the shop sells and the model each product
+// puts on the head. Each entry looks like:
+// {
+//     _id: "Bowler",                // the model's file name, minus .obj
+//     title: "Classy bowler hat",
+//     category: "hat",              // also the slot it goes in
+//     price: 4500,                  // in cents
+//     currency: "USD",
+//     sizes: ["S", "M", "L"],       // letter sizes in stock (see
+//                                   // lib/measure.js), or null for one size
+//     thumbnail: "/img/bowler.png", // or null
+//     files: {obj: "Bowler.obj", mtl: "Bowler.mtl"}   // in public/models/
+// }
+// list() and get() add `name` (the _id) and `anchors`, the model's anchors
+// sidecar, or null when it has none.
+//
+// The catalog starts out as lib/catalog-seed.json; to add a product, add
+// its entry to data/catalog.json and its files to public/models/.
+var catalog = new Store('catalog');
+
+if(!catalog.all().length){
+    JSON.parse(fs.readFileSync(path.join(__dirname, 'catalog-seed.json'), 'utf8')).forEach(function(entry){
+        catalog.insert(entry, function(err){
+            if(err) console.log("Couldn't seed the catalog with " + entry._id + ": " + err.message);
+        });
+    });
+}
+
+function withAnchors(entry, callback){
+    var result = {};
+    for(var key in entry) result[key] = entry[key];
+    result.name = entry._id;
+    var file = path.join(upload.MODEL_DIR, path.basename(entry.files.obj, '.obj') + '.json');
+    modelFiles.readJSON(file, function(err, anchors){
+        result.anchors = !err && anchors.kind === 'accessory' ? anchors : null;
+        callback(result);
+    });
+}
+
+// Calls back with the catalog sorted by category and title; `category`,
+// if given, keeps only that category.
+function list(category, callback){
+    if(typeof category === 'function'){
+        callback = category;
+        category = null;
+    }
+    var entries = catalog.find(function(entry){
+        return !category || entry.category === category;
+    }).sort(function(a, b){
+        return a.category < b.category ? -1 : a.category > b.category ? 1 :
+            a.title < b.title ? -1 : a.title > b.title ? 1 : 0;
+    });
+    var found = [];
+    var next = function(i){
+        if(i === entries.length) return callback(null, found);
+        withAnchors(entries[i], function(entry){
+            found.push(entry);
+            next(i + 1);
+        });
+    };
+    next(0);
+}
+
+// Lowercase words without accents, so "capitan" finds "El capitán".
+function words(text){
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// How well `entry` matches the query words: 0 unless every word starts a
+// word of its title, category or name; more for those in the title.
+function relevance(entry, query){
+    var title = words(entry.title);
+    var other = words(entry.category + ' ' + entry._id);
+    var score = 0;
+    for(var i = 0; i < query.length; i++){
+        var starts = function(word){ return word.indexOf(query[i]) === 0; };
+        if(title.some(starts)) score += 2;
+        else if(other.some(starts)) score += 1;
+        else return 0;
+    }
+    return score;
+}
+
+var SORTS = {
+    relevance: function(a, b){ return b.relevance - a.relevance; },
+    price: function(a, b){ return a.price - b.price; },
+    '-price': function(a, b){ return b.price - a.price; },
+    title: function(a, b){ return a.title < b.title ? -1 : a.title > b.title ? 1 : 0; }
+};
+
+// Calls back with the catalog entries that match `search`, which may have
+//     q          words to look for in the title, category and name
+//     category
+//     min, max   the price range, in cents, inclusive
+//     size       a letter size they must come in (one size fits all)
+//     sort       "relevance" (the default with q), "price", "-price" or
+//                "title"; otherwise the order of list()
+// Each result has a `relevance` score, 0 without q.
+function search(options, callback){
+    var query = words(options.q || '');
+    var sort = options.sort || (query.length ? 'relevance' : null);
+    if(sort && !SORTS[sort]){
+        var err = new Error("Sort by one of " + Object.keys(SORTS).join(", ") + ".");
+        err.status = 400;
+        return callback(err);
+    }
+    list(options.category || null, function(err, entries){
+        if(err) return callback(err);
+        var found = entries.filter(function(entry){
+            entry.relevance = query.length ? relevance(entry, query) : 0;
+            if(query.length && !entry.relevance) return false;
+            if(options.min !== undefined && entry.price < options.min) return false;
+            if(options.max !== undefined && entry.price > options.max) return false;
+            return !options.size || !entry.sizes || entry.sizes.indexOf(options.size) !== -1;
+        });
+        // Array.sort isn't stable, so ties keep list()'s order by hand.
+        if(sort){
+            found = found.map(function(entry, i){ return [entry, i]; }).sort(function(a, b){
+                return SORTS[sort](a[0], b[0]) || a[1] - b[1];
+            }).map(function(pair){ return pair[0]; });
+        }
+        callback(null, found);
+    });
+}
+
+// Calls back with the accessory called `name`, or a 404.
+function get(name, callback){
+    var entry = catalog.get(name);
+    if(!entry){
+        var err = new Error("No accessory called \"" + name + "\".");
+        err.status = 404;
+        return callback(err);
+    }
+    withAnchors(entry, function(result){
+        callback(null, result);
+    });
+}
+
+// The categories in the catalog, in order.
+function categories(){
+    var seen = [];
+    catalog.all().forEach(function(entry){
+        if(seen.indexOf(entry.category) === -1) seen.push(entry.category);
+    });
+    return seen.sort();
+}
+
+// "$45.00", for showing a price in cents.
+var SYMBOLS = {USD: "$", EUR: "€", GBP: "£"};
+
+function formatPrice(cents, currency){
+    var amount = (cents / 100).toFixed(2);
+    return SYMBOLS[currency] ? SYMBOLS[currency] + amount : amount + " " + currency;
+}
+
+exports.list = list;
+exports.search = search;
+exports.get = get;
+exports.categories = categories;
+exports.formatPrice = formatPrice;
@@ -0,0 +1,200 @@
+var path = require('path');
+var express = require('express');
+var handlers = require('./handlers');
+var upload = require('./upload');
+var modelFiles = require('./model-files');
+var thumbnails = require('./thumbnails');
+var lods = require('./lods');
+
+// Version 1 of the JSON API for the mobile and kiosk clients, mounted at
+// /api/v1 by hack.js. It runs on the same handlers as the pages, so a head
+// or fit looks the same whichever way it is asked for.
+//
+// Lists take ?offset= and ?limit= and answer
+//     {items: [...], total: 42, offset: 0, limit: 20}
+// Errors always answer {error: "message", problems: [...]} with the HTTP
+// status, whatever the client accepts.
+var api = express();
+
+var DEFAULT_LIMIT = 20;
+var MAX_LIMIT = 100;
+
+// Mounted ahead of the pages' body parser, so that a body it can't read
+// (malformed JSON, too big) ends up at the error handler below. Heads are
+// uploaded here as well, with the same limit as the upload form.
+api.use(express.bodyParser({limit: 3 * upload.MAX_UPLOAD_BYTES}));
+
+function apiError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function parseCount(value, fallback){
+    if(value === undefined || value === '') return fallback;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+// Answers one page of `items`, mapped through `present`.
+function sendPage(req, res, next, items, present){
+    var offset = parseCount(req.query.offset, 0);
+    var limit = parseCount(req.query.limit, DEFAULT_LIMIT);
+    if(isNaN(offset) || isNaN(limit) || limit < 1 || limit > MAX_LIMIT){
+        return next(apiError(400, "\"offset\" must be a whole number and \"limit\" one from 1 to " + MAX_LIMIT + "."));
+    }
+    res.json({
+        items: items.slice(offset, offset + limit).map(present),
+        total: items.length,
+        offset: offset,
+        limit: limit
+    });
+}
+
+function fileURLs(files){
+    var urls = {};
+    for(var key in files) urls[key] = '/models/' + files[key];
+    return urls;
+}
+
+// The model's levels of detail, simplest last; a client picks the last one
+// whose `pixels` (null for no limit) is at least as wide as it draws.
+function levelURLs(name){
+    return lods.levels(name).map(function(level){
+        return {level: level.level, faces: level.faces, pixels: level.pixels, url: '/models/' + level.file};
+    });
+}
+
+function presentHead(head){
+    return {
+        id: head._id,
+        name: head.name,
+        owner: head.owner,
+        public: head.public === true,
+        uploaded: head.uploaded,
+        vertices: head.vertices,
+        faces: head.faces,
+        measurements: head.measurements || null,
+        files: fileURLs(head.files),
+        levels: levelURLs(head._id),
+        thumbnails: {
+            front: thumbnails.url(head._id, 'front'),
+            threeQuarter: thumbnails.url(head._id, 'three-quarter')
+        }
+    };
+}
+
+function presentAccessory(accessory){
+    return {
+        name: accessory.name,
+        title: accessory.title,
+        category: accessory.category,
+        price: accessory.price,
+        currency: accessory.currency,
+        sizes: accessory.sizes || null,
+        thumbnail: accessory.thumbnail || thumbnails.url(accessory.name, 'three-quarter'),
+        anchors: accessory.anchors,
+        files: fileURLs(accessory.files),
+        levels: levelURLs(path.basename(accessory.files.obj, '.obj'))
+    };
+}
+
+function presentFit(fit){
+    return {
+        accessory: fit.accessory,
+        slot: fit.slot,
+        position: fit.position,
+        rotation: fit.rotation,
+        scale: fit.scale,
+        offset: fit.offset,
+        auto: fit.auto,
+        saved: fit.saved,
+        thumbnail: thumbnails.url(fit.head, 'with-' + fit.accessory)
+    };
+}
+
+function presentLook(look){
+    return {
+        id: look._id,
+        name: look.name,
+        head: look.head,
+        accessories: look.accessories,
+        camera: look.camera,
+        lighting: look.lighting,
+        saved: look.saved,
+        view: '/looks/' + look._id
+    };
+}
+
+function sendStats(name){
+    return function(req, res, next){
+        modelFiles.meshStats(name(req), function(err, stats){
+            if(err) return next(err);
+            res.json(stats);
+        });
+    };
+}
+
+api.get('/heads', handlers.load_heads, function(req, res, next){
+    sendPage(req, res, next, req.heads, presentHead);
+});
+api.post('/heads', handlers.require_user, handlers.new_model, function(req, res){
+    res.status(201);
+    res.json(presentHead(req.head));
+});
+api.get('/heads/:filename', handlers.load_head, handlers.load_fits, handlers.load_size, function(req, res){
+    var head = presentHead(req.head);
+    head.measurements = req.size;
+    head.fits = req.fits.map(presentFit);
+    res.json(head);
+});
+api.delete('/heads/:filename', handlers.load_own_head, handlers.delete_head, function(req, res){
+    res.send(204);
+});
+api.get('/heads/:filename/stats', handlers.load_head, sendStats(function(req){ return req.head._id; }));
+api.get('/heads/:filename/fits', handlers.load_head, handlers.load_fits, function(req, res, next){
+    sendPage(req, res, next, req.fits, presentFit);
+});
+api.get('/heads/:filename/fits/:accessory', handlers.load_head, handlers.load_fit, function(req, res){
+    res.json(presentFit(req.fit));
+});
+api.put('/heads/:filename/fits/:accessory', handlers.load_own_head, handlers.load_accessory, handlers.save_fit, function(req, res){
+    res.json(presentFit(req.fit));
+});
+
+api.get('/accessories', handlers.search_accessories, function(req, res, next){
+    sendPage(req, res, next, req.accessories, presentAccessory);
+});
+api.get('/accessories/:accessory', handlers.load_accessory, function(req, res){
+    res.json(presentAccessory(req.accessory));
+});
+api.get('/accessories/:accessory/stats', handlers.load_accessory, sendStats(function(req){ return req.accessory.name; }));
+
+api.get('/looks', handlers.require_user, handlers.load_looks, function(req, res, next){
+    sendPage(req, res, next, req.looks, presentLook);
+});
+api.post('/looks', handlers.require_user, handlers.save_look, function(req, res){
+    res.status(201);
+    res.json(presentLook(req.look));
+});
+api.get('/looks/:look', handlers.load_look, function(req, res){
+    res.json(presentLook(req.look));
+});
+api.delete('/looks/:look', handlers.load_look, handlers.delete_look, function(req, res){
+    res.send(204);
+});
+
+api.use(function(req, res, next){
+    next(apiError(404, "No such API endpoint: " + req.method + " " + req.path));
+});
+
+api.use(function(err, req, res, next){
+    var status = err.status || 500;
+    if(status === 500) console.log(err);
+    res.status(status);
+    res.json({
+        error: status === 500 ? "Something went wrong on our end." : err.message,
+        problems: err.report ? err.report.problems : []
+    });
+});
+
+module.exports = api;
@@ -0,0 +1,79 @@
+var fs = require('fs');
+var path = require('path');
+var OBJParser = require('../public/obj-parser');
+var MeshCodec = require('../public/mesh-codec');
+var upload = require('./upload');
+var lods = require('./lods');
+
+// Binary copies (public/mesh-codec.js) of every model and each of its
+// levels of detail, as <file>.mesh next to <file>.obj in public/models/.
+// The viewer asks for these first and reads the OBJ only when one is
+// missing.
+
+function meshFile(objFile){
+    return objFile.replace(/\.obj$/i, '.mesh');
+}
+
+// The OBJ files of `name`: the model and its levels of detail.
+function objFiles(name){
+    return lods.levels(name).map(function(level){ return level.file; });
+}
+
+// Writes the binary copy of `objFile` (in public/models/).
+function convert(objFile, callback){
+    fs.readFile(path.join(upload.MODEL_DIR, objFile), 'utf8', function(err, text){
+        if(err) return callback(err);
+        var bytes = MeshCodec.encode(OBJParser.parse(text));
+        fs.writeFile(path.join(upload.MODEL_DIR, meshFile(objFile)), Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength), callback);
+    });
+}
+
+// Writes the binary copies of `name` and its levels of detail that are
+// missing or older than their OBJ.
+function update(name, callback){
+    var files = objFiles(name);
+    var next = function(i){
+        if(i === files.length) return callback(null);
+        fs.stat(path.join(upload.MODEL_DIR, files[i]), function(err, obj){
+            if(err) return callback(err);
+            fs.stat(path.join(upload.MODEL_DIR, meshFile(files[i])), function(err, mesh){
+                if(!err && mesh.mtime >= obj.mtime) return next(i + 1);
+                convert(files[i], function(err){
+                    if(err) return callback(err);
+                    next(i + 1);
+                });
+            });
+        });
+    };
+    next(0);
+}
+
+// update() for each of `names`, one at a time. Models that can't be read
+// are logged and skipped.
+function ensure(names, callback){
+    var next = function(i){
+        if(i === names.length) return callback();
+        update(names[i], function(err){
+            if(err) console.log("Couldn't write binary meshes for " + names[i] + ": " + err.message);
+            next(i + 1);
+        });
+    };
+    next(0);
+}
+
+// Throws away the binary copies of `name`. Call it before lods.remove(),
+// while the levels are still known.
+function remove(name, callback){
+    var files = objFiles(name);
+    var remaining = files.length;
+    files.forEach(function(file){
+        fs.unlink(path.join(upload.MODEL_DIR, meshFile(file)), function(){
+            if(--remaining === 0) callback();
+        });
+    });
+}
+
+exports.meshFile = meshFile;
+exports.update = update;
+exports.ensure = ensure;
+exports.remove = remove;
@@ -0,0 +1,102 @@
+var Store = require('./store');
+
+// Shopping carts. Someone who isn't logged in gets a cart kept by their
+// session (req.session.cart); logging in moves it onto their account.
+// Each entry looks like:
+// {
+//     _id: "9a0c4f7e1b2d3586",
+//     owner: "5d0b7e21c4a9f386",    // null for a session's cart
+//     items: [
+//         {accessory: "Bowler", quantity: 2}
+//     ],
+//     updated: "2013-11-16T10:02:11.000Z"
+// }
+// Carts hold no prices; lib/orders.js prices them from the catalog.
+var carts = new Store('carts');
+
+var MAX_QUANTITY = 10;
+
+function cartError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function isQuantity(value, least){
+    return typeof value === 'number' && value % 1 === 0 && value >= least && value <= MAX_QUANTITY;
+}
+
+function setItems(cart, items, callback){
+    carts.update(cart._id, {items: items, updated: new Date().toISOString()}, callback);
+}
+
+exports.MAX_QUANTITY = MAX_QUANTITY;
+
+exports.get = function(id){
+    return carts.get(id);
+};
+
+exports.forUser = function(user){
+    return carts.find(function(cart){ return cart.owner === user; })[0] || null;
+};
+
+exports.create = function(owner, callback){
+    carts.insert({owner: owner || null, items: [], updated: new Date().toISOString()}, callback);
+};
+
+// Puts `quantity` more of `accessory` in the cart.
+exports.add = function(cart, accessory, quantity, callback){
+    if(!isQuantity(quantity, 1)) return callback(cartError(400, "Add from 1 to " + MAX_QUANTITY + " at a time."));
+    var items = cart.items.slice();
+    var found = false;
+    for(var i = 0; i < items.length; i++){
+        if(items[i].accessory !== accessory) continue;
+        found = true;
+        if(items[i].quantity + quantity > MAX_QUANTITY){
+            return callback(cartError(400, "You can have at most " + MAX_QUANTITY + " of each."));
+        }
+        items[i] = {accessory: accessory, quantity: items[i].quantity + quantity};
+    }
+    if(!found) items.push({accessory: accessory, quantity: quantity});
+    setItems(cart, items, callback);
+};
+
+// Sets how many of `accessory` are in the cart; 0 takes it out.
+exports.setQuantity = function(cart, accessory, quantity, callback){
+    if(!isQuantity(quantity, 0)) return callback(cartError(400, "Quantities go from 0 to " + MAX_QUANTITY + "."));
+    var items = cart.items.filter(function(item){ return item.accessory !== accessory; });
+    if(quantity > 0){
+        var at = cart.items.map(function(item){ return item.accessory; }).indexOf(accessory);
+        items.splice(at === -1 ? items.length : at, 0, {accessory: accessory, quantity: quantity});
+    }
+    setItems(cart, items, callback);
+};
+
+exports.empty = function(cart, callback){
+    setItems(cart, [], callback);
+};
+
+// Moves what is in the session's cart `id` into `user`'s cart when they log
+// in, adding up quantities (to at most MAX_QUANTITY each). Calls back with
+// the user's cart, or null if neither has one.
+exports.claim = function(id, user, callback){
+    var loose = id ? carts.get(id) : null;
+    var own = exports.forUser(user);
+    if(!loose || loose.owner) return callback(null, own);
+    if(!own){
+        return carts.update(loose._id, {owner: user, updated: new Date().toISOString()}, callback);
+    }
+    var items = own.items.slice();
+    loose.items.forEach(function(item){
+        var mine = items.filter(function(other){ return other.accessory === item.accessory; })[0];
+        if(!mine) return items.push(item);
+        items[items.indexOf(mine)] = {
+            accessory: item.accessory,
+            quantity: Math.min(MAX_QUANTITY, mine.quantity + item.quantity)
+        };
+    });
+    carts.remove(loose._id, function(err){
+        if(err) return callback(err);
+        setItems(own, items, callback);
+    });
+};
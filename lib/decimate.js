@@ -0,0 +1,379 @@
+// Mesh simplification by edge collapse with quadric error metrics (Garland
+// and Heckbert, "Surface Simplification Using Quadric Error Metrics",
+// SIGGRAPH 97). Each vertex carries the sum of the squared distances to the
+// planes of the triangles around it; collapsing an edge moves both ends to
+// the point where that sum is least, and the cheapest edge always goes
+// first. Open edges (the rim of a scan, the edge of a brim) are held in
+// place by extra planes at right angles to them.
+//
+// Works on meshes from OBJParser.parse(). Split copies of a vertex (one per
+// uv or normal it takes) are welded by position first, so seams collapse
+// together and keep their own texture coordinates. Vertex colours go with
+// the position, and a collapse leaves the average of its two ends.
+
+// Quadrics are symmetric 4x4 matrices, kept as their upper triangle:
+// [aa, ab, ac, ad, bb, bc, bd, cc, cd, dd] for the plane ax + by + cz + d.
+var Q = 10;
+
+// How much more an open edge resists moving than a surface does.
+var BOUNDARY_WEIGHT = 100;
+
+// A collapse may turn a triangle by at most this much (as the cosine).
+var MIN_TURN = 0.2;
+
+function addPlane(quadrics, i, a, b, c, d, weight){
+    var q = i * Q;
+    quadrics[q] += weight * a * a;
+    quadrics[q + 1] += weight * a * b;
+    quadrics[q + 2] += weight * a * c;
+    quadrics[q + 3] += weight * a * d;
+    quadrics[q + 4] += weight * b * b;
+    quadrics[q + 5] += weight * b * c;
+    quadrics[q + 6] += weight * b * d;
+    quadrics[q + 7] += weight * c * c;
+    quadrics[q + 8] += weight * c * d;
+    quadrics[q + 9] += weight * d * d;
+}
+
+function error(q, x, y, z){
+    return q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+        q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+        q[7] * z * z + 2 * q[8] * z + q[9];
+}
+
+// The point where quadric `q` is least, or null if it has no single one
+// (a flat or straight neighbourhood).
+function optimum(q){
+    var a = q[0], b = q[1], c = q[2], e = q[4], f = q[5], i = q[7];
+    var det = a * (e * i - f * f) - b * (b * i - f * c) + c * (b * f - e * c);
+    var scale = Math.abs(a) + Math.abs(e) + Math.abs(i);
+    if(Math.abs(det) <= 1e-12 * scale * scale * scale) return null;
+    var x = -q[3], y = -q[6], z = -q[8];
+    return [
+        (x * (e * i - f * f) - b * (y * i - f * z) + c * (y * f - e * z)) / det,
+        (a * (y * i - z * f) - x * (b * i - f * c) + c * (b * z - y * c)) / det,
+        (a * (e * z - f * y) - b * (b * z - y * c) + x * (b * f - e * c)) / det
+    ];
+}
+
+// A binary heap of candidate collapses, cheapest on top.
+function Heap(){
+    this.items = [];
+}
+
+Heap.prototype.push = function(item){
+    var items = this.items;
+    var i = items.length;
+    items.push(item);
+    while(i > 0){
+        var parent = (i - 1) >> 1;
+        if(items[parent].cost <= item.cost) break;
+        items[i] = items[parent];
+        i = parent;
+    }
+    items[i] = item;
+};
+
+Heap.prototype.pop = function(){
+    var items = this.items;
+    var top = items[0];
+    var last = items.pop();
+    if(items.length){
+        var i = 0;
+        for(;;){
+            var child = 2 * i + 1;
+            if(child >= items.length) break;
+            if(child + 1 < items.length && items[child + 1].cost < items[child].cost) child++;
+            if(items[child].cost >= last.cost) break;
+            items[i] = items[child];
+            i = child;
+        }
+        items[i] = last;
+    }
+    return top;
+};
+
+// Simplifies `mesh` to about `target` triangles (fewer only if every
+// remaining collapse would fold the surface over). Returns
+// {positions, colors, uvs, triangles, groups}: positions (x, y, z), colors
+// (r, g, b per position, or null) and uvs (u, v) are flat arrays;
+// triangles has six indices per triangle, a position and a uv for each
+// corner, in the order of `groups` ({name, material, count} with count in
+// triangles).
+function simplify(mesh, target){
+    var vertexCount = mesh.positions.length / 3;
+
+    // Weld the parser's split vertices back together by position.
+    var ids = Object.create(null);
+    var weld = new Int32Array(vertexCount);
+    var points = [];
+    var colors = mesh.colors ? [] : null;
+    for(var v = 0; v < vertexCount; v++){
+        var key = mesh.positions[v * 3] + ' ' + mesh.positions[v * 3 + 1] + ' ' + mesh.positions[v * 3 + 2];
+        if(ids[key] === undefined){
+            ids[key] = points.length / 3;
+            points.push(mesh.positions[v * 3], mesh.positions[v * 3 + 1], mesh.positions[v * 3 + 2]);
+            if(colors) colors.push(mesh.colors[v * 3], mesh.colors[v * 3 + 1], mesh.colors[v * 3 + 2]);
+        }
+        weld[v] = ids[key];
+    }
+    var pointCount = points.length / 3;
+
+    // Triangles by welded point (tris) and by original vertex (corners, for
+    // the uvs), with the group each came from. Degenerate ones go now.
+    var tris = [], corners = [], groupOf = [];
+    mesh.groups.forEach(function(group, g){
+        for(var i = group.start; i < group.start + group.count; i += 3){
+            var a = weld[mesh.indices[i]], b = weld[mesh.indices[i + 1]], c = weld[mesh.indices[i + 2]];
+            if(a === b || b === c || c === a) continue;
+            tris.push(a, b, c);
+            corners.push(mesh.indices[i], mesh.indices[i + 1], mesh.indices[i + 2]);
+            groupOf.push(g);
+        }
+    });
+    var triCount = groupOf.length;
+    var dead = new Uint8Array(triCount);
+    var live = triCount;
+
+    var around = [];
+    for(var p = 0; p < pointCount; p++) around.push([]);
+    for(var t = 0; t < triCount; t++){
+        around[tris[t * 3]].push(t);
+        around[tris[t * 3 + 1]].push(t);
+        around[tris[t * 3 + 2]].push(t);
+    }
+
+    var normal = function(a, b, c, out){
+        var ux = points[b * 3] - points[a * 3], uy = points[b * 3 + 1] - points[a * 3 + 1], uz = points[b * 3 + 2] - points[a * 3 + 2];
+        var vx = points[c * 3] - points[a * 3], vy = points[c * 3 + 1] - points[a * 3 + 1], vz = points[c * 3 + 2] - points[a * 3 + 2];
+        out[0] = uy * vz - uz * vy;
+        out[1] = uz * vx - ux * vz;
+        out[2] = ux * vy - uy * vx;
+        return Math.sqrt(out[0] * out[0] + out[1] * out[1] + out[2] * out[2]);
+    };
+
+    // Every triangle's plane, weighted by its area, goes into its corners'
+    // quadrics; edges used by one triangle only get a wall as well.
+    var quadrics = new Float64Array(pointCount * Q);
+    var edges = new Map();
+    var n = [0, 0, 0];
+    for(var t = 0; t < triCount; t++){
+        var a = tris[t * 3], b = tris[t * 3 + 1], c = tris[t * 3 + 2];
+        var length = normal(a, b, c, n);
+        if(length > 0){
+            var d = -(n[0] * points[a * 3] + n[1] * points[a * 3 + 1] + n[2] * points[a * 3 + 2]) / length;
+            for(var k = 0; k < 3; k++){
+                addPlane(quadrics, tris[t * 3 + k], n[0] / length, n[1] / length, n[2] / length, d, length / 2);
+            }
+        }
+        for(var k = 0; k < 3; k++){
+            var from = tris[t * 3 + k], to = tris[t * 3 + (k + 1) % 3];
+            var key = from < to ? from * pointCount + to : to * pointCount + from;
+            var seen = edges.get(key);
+            edges.set(key, seen ? seen + 1 : 1);
+        }
+    }
+    for(var t = 0; t < triCount; t++){
+        var length = normal(tris[t * 3], tris[t * 3 + 1], tris[t * 3 + 2], n);
+        if(length === 0) continue;
+        for(var k = 0; k < 3; k++){
+            var from = tris[t * 3 + k], to = tris[t * 3 + (k + 1) % 3];
+            if(edges.get(from < to ? from * pointCount + to : to * pointCount + from) !== 1) continue;
+            var ex = points[to * 3] - points[from * 3], ey = points[to * 3 + 1] - points[from * 3 + 1], ez = points[to * 3 + 2] - points[from * 3 + 2];
+            // The wall: through the edge, at right angles to the triangle.
+            var wx = ey * n[2] - ez * n[1], wy = ez * n[0] - ex * n[2], wz = ex * n[1] - ey * n[0];
+            var wall = Math.sqrt(wx * wx + wy * wy + wz * wz);
+            if(wall === 0) continue;
+            wx /= wall; wy /= wall; wz /= wall;
+            var wd = -(wx * points[from * 3] + wy * points[from * 3 + 1] + wz * points[from * 3 + 2]);
+            var weight = BOUNDARY_WEIGHT * (ex * ex + ey * ey + ez * ez);
+            addPlane(quadrics, from, wx, wy, wz, wd, weight);
+            addPlane(quadrics, to, wx, wy, wz, wd, weight);
+        }
+    }
+
+    var version = new Int32Array(pointCount);
+    var removed = new Uint8Array(pointCount);
+    var heap = new Heap();
+    var sum = new Float64Array(Q);
+
+    var candidate = function(a, b){
+        var qa = quadrics.subarray(a * Q, a * Q + Q), qb = quadrics.subarray(b * Q, b * Q + Q);
+        for(var k = 0; k < Q; k++) sum[k] = qa[k] + qb[k];
+        var best = optimum(sum);
+        var options = [
+            [points[a * 3], points[a * 3 + 1], points[a * 3 + 2]],
+            [points[b * 3], points[b * 3 + 1], points[b * 3 + 2]],
+            [(points[a * 3] + points[b * 3]) / 2, (points[a * 3 + 1] + points[b * 3 + 1]) / 2, (points[a * 3 + 2] + points[b * 3 + 2]) / 2]
+        ];
+        if(best) options.unshift(best);
+        var cost = Infinity, at = null;
+        options.forEach(function(option){
+            var e = error(sum, option[0], option[1], option[2]);
+            if(e < cost){
+                cost = e;
+                at = option;
+            }
+        });
+        heap.push({cost: Math.max(cost, 0), a: a, b: b, at: at, va: version[a], vb: version[b]});
+    };
+
+    edges.forEach(function(count, key){
+        candidate(Math.floor(key / pointCount), key % pointCount);
+    });
+
+    var neighbours = function(p){
+        var found = [];
+        around[p].forEach(function(t){
+            if(dead[t]) return;
+            for(var k = 0; k < 3; k++){
+                var other = tris[t * 3 + k];
+                if(other !== p && found.indexOf(other) === -1) found.push(other);
+            }
+        });
+        return found;
+    };
+
+    // Whether moving a and b to `at` keeps the surface manifold and
+    // unfolded.
+    var before = [0, 0, 0], after = [0, 0, 0];
+    var allowed = function(a, b, at){
+        var shared = 0;
+        around[a].forEach(function(t){
+            if(!dead[t] && (tris[t * 3] === b || tris[t * 3 + 1] === b || tris[t * 3 + 2] === b)) shared++;
+        });
+        var nb = neighbours(b);
+        var common = neighbours(a).filter(function(p){ return nb.indexOf(p) !== -1; }).length;
+        if(common !== shared) return false;
+
+        var keep = [points[a * 3], points[a * 3 + 1], points[a * 3 + 2]];
+        var gone = [points[b * 3], points[b * 3 + 1], points[b * 3 + 2]];
+        var ok = true;
+        [a, b].forEach(function(p){
+            around[p].forEach(function(t){
+                if(!ok || dead[t]) return;
+                var c0 = tris[t * 3], c1 = tris[t * 3 + 1], c2 = tris[t * 3 + 2];
+                if((c0 === a || c1 === a || c2 === a) && (c0 === b || c1 === b || c2 === b)) return;
+                var l0 = normal(c0, c1, c2, before);
+                points[a * 3] = points[b * 3] = at[0];
+                points[a * 3 + 1] = points[b * 3 + 1] = at[1];
+                points[a * 3 + 2] = points[b * 3 + 2] = at[2];
+                var l1 = normal(c0, c1, c2, after);
+                points[a * 3] = keep[0]; points[a * 3 + 1] = keep[1]; points[a * 3 + 2] = keep[2];
+                points[b * 3] = gone[0]; points[b * 3 + 1] = gone[1]; points[b * 3 + 2] = gone[2];
+                if(l1 === 0 || l0 > 0 && (before[0] * after[0] + before[1] * after[1] + before[2] * after[2]) / (l0 * l1) < MIN_TURN){
+                    ok = false;
+                }
+            });
+        });
+        return ok;
+    };
+
+    while(live > target && heap.items.length){
+        var next = heap.pop();
+        var a = next.a, b = next.b;
+        if(removed[a] || removed[b] || version[a] !== next.va || version[b] !== next.vb) continue;
+        if(!allowed(a, b, next.at)) continue;
+
+        // b goes; a takes its place at the best point.
+        points[a * 3] = next.at[0];
+        points[a * 3 + 1] = next.at[1];
+        points[a * 3 + 2] = next.at[2];
+        if(colors){
+            for(var k = 0; k < 3; k++) colors[a * 3 + k] = (colors[a * 3 + k] + colors[b * 3 + k]) / 2;
+        }
+        for(var k = 0; k < Q; k++) quadrics[a * Q + k] += quadrics[b * Q + k];
+        around[b].forEach(function(t){
+            if(dead[t]) return;
+            var hasA = tris[t * 3] === a || tris[t * 3 + 1] === a || tris[t * 3 + 2] === a;
+            if(hasA){
+                dead[t] = 1;
+                live--;
+                return;
+            }
+            for(var k = 0; k < 3; k++){
+                if(tris[t * 3 + k] === b) tris[t * 3 + k] = a;
+            }
+            around[a].push(t);
+        });
+        around[a] = around[a].filter(function(t){ return !dead[t]; });
+        around[b] = [];
+        removed[b] = 1;
+        version[a]++;
+        neighbours(a).forEach(function(p){ candidate(a, p); });
+    }
+
+    // Renumber what is left, keeping each corner's own uv.
+    var result = {positions: [], colors: colors ? [] : null, uvs: [], triangles: [], groups: []};
+    var pointIndex = new Int32Array(pointCount).fill(-1);
+    var uvIndex = new Int32Array(vertexCount).fill(-1);
+    mesh.groups.forEach(function(group, g){
+        var count = 0;
+        for(var t = 0; t < triCount; t++){
+            if(dead[t] || groupOf[t] !== g) continue;
+            for(var k = 0; k < 3; k++){
+                var p = tris[t * 3 + k], v = corners[t * 3 + k];
+                if(pointIndex[p] === -1){
+                    pointIndex[p] = result.positions.length / 3;
+                    result.positions.push(points[p * 3], points[p * 3 + 1], points[p * 3 + 2]);
+                    if(colors) result.colors.push(colors[p * 3], colors[p * 3 + 1], colors[p * 3 + 2]);
+                }
+                if(uvIndex[v] === -1){
+                    uvIndex[v] = result.uvs.length / 2;
+                    result.uvs.push(mesh.uvs[v * 2], mesh.uvs[v * 2 + 1]);
+                }
+                result.triangles.push(pointIndex[p], uvIndex[v]);
+            }
+            count++;
+        }
+        if(count) result.groups.push({name: group.name, material: group.material, count: count});
+    });
+    return result;
+}
+
+function format(value){
+    return String(Number(value.toFixed(6)));
+}
+
+// Writes a simplified mesh as OBJ text. `options` may give `materials`
+// (mtllib files), `meta` (the parser's "###" placement line) and `uvs`
+// (false for models without texture coordinates). Colours, when the mesh
+// has them, go on the end of the "v" lines; normals are left out for the
+// parser to smooth.
+function toOBJ(simple, options){
+    options = options || {};
+    var lines = [];
+    if(options.meta){
+        var meta = options.meta;
+        lines.push('### ' + [meta.x, meta.y, meta.z, meta.rot, meta.scale].join(' '));
+    }
+    if(options.materials && options.materials.length) lines.push('mtllib ' + options.materials.join(' '));
+    var uvs = options.uvs !== false;
+    for(var i = 0; i < simple.positions.length; i += 3){
+        var line = 'v ' + format(simple.positions[i]) + ' ' + format(simple.positions[i + 1]) + ' ' + format(simple.positions[i + 2]);
+        if(simple.colors) line += ' ' + format(simple.colors[i]) + ' ' + format(simple.colors[i + 1]) + ' ' + format(simple.colors[i + 2]);
+        lines.push(line);
+    }
+    if(uvs){
+        for(var i = 0; i < simple.uvs.length; i += 2){
+            lines.push('vt ' + format(simple.uvs[i]) + ' ' + format(simple.uvs[i + 1]));
+        }
+    }
+    var t = 0;
+    simple.groups.forEach(function(group){
+        lines.push('g ' + group.name);
+        if(group.material) lines.push('usemtl ' + group.material);
+        for(var end = t + group.count; t < end; t++){
+            var face = [];
+            for(var k = 0; k < 3; k++){
+                var corner = simple.triangles[t * 6 + k * 2] + 1;
+                face.push(uvs ? corner + '/' + (simple.triangles[t * 6 + k * 2 + 1] + 1) : corner);
+            }
+            lines.push('f ' + face.join(' '));
+        }
+    });
+    return lines.join('\n') + '\n';
+}
+
+exports.simplify = simplify;
+exports.toOBJ = toOBJ;
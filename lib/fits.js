@@ -0,0 +1,96 @@
+var Store = require('./store');
+
+// Accessory placements saved from the viewer's adjustment mode, one per
+// head and accessory. Each entry looks like:
+// {
+//     _id: "9a41c3d07e2b5f68",
+//     head: "3f9c0e1b2a7d4c55",     // the :filename the head is viewed under
+//     accessory: "Bowler",          // the accessory's model name
+//     slot: "hat",
+//     position: [x, y, z],          // the accessory node's transform, in
+//     rotation: [x, y, z],          // the head model's own coordinates
+//     scale: 2.8,                   // (see SceneNode in
+//     offset: [x, y, z],            // public/scene-graph.js)
+//     auto: false,                  // worked out by lib/fitting.js
+//     saved: "2013-10-20T18:03:11.000Z"
+// }
+var fits = new Store('fits');
+
+var NAME = /^[\w.-]+$/;
+
+function fitError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function isVector(value){
+    return value instanceof Array && value.length === 3 && value.every(function(v){
+        return typeof v === 'number' && isFinite(v);
+    });
+}
+
+// Returns an error describing what is wrong with a placement, or null.
+function check(head, accessory, placement){
+    if(!NAME.test(head || '') || !NAME.test(accessory || '')){
+        return fitError(400, "A fit needs a head and an accessory name.");
+    }
+    if(!placement || !isVector(placement.position) || !isVector(placement.rotation) || !isVector(placement.offset)){
+        return fitError(400, "\"position\", \"rotation\" and \"offset\" must each be [x, y, z].");
+    }
+    if(typeof placement.scale !== 'number' || !isFinite(placement.scale) || placement.scale <= 0){
+        return fitError(400, "\"scale\" must be a positive number.");
+    }
+    return null;
+}
+
+exports.check = check;
+
+exports.forHead = function(head){
+    return fits.find(function(fit){ return fit.head === head; });
+};
+
+exports.get = function(head, accessory){
+    return fits.find(function(fit){
+        return fit.head === head && fit.accessory === accessory;
+    })[0] || null;
+};
+
+// Saves the placement for a head and accessory, replacing any earlier one.
+exports.save = function(head, accessory, placement, callback){
+    var err = check(head, accessory, placement);
+    if(err) return callback(err);
+    var fields = {
+        head: head,
+        accessory: accessory,
+        slot: typeof placement.slot === 'string' && NAME.test(placement.slot) ? placement.slot : null,
+        position: placement.position,
+        rotation: placement.rotation,
+        scale: placement.scale,
+        offset: placement.offset,
+        auto: placement.auto === true,
+        saved: new Date().toISOString()
+    };
+    var existing = exports.get(head, accessory);
+    if(existing) return fits.update(existing._id, fields, callback);
+    fits.insert(fields, callback);
+};
+
+exports.remove = function(head, accessory, callback){
+    var existing = exports.get(head, accessory);
+    if(!existing) return callback(null, null);
+    fits.remove(existing._id, callback);
+};
+
+// Drops every fit for a head, when the head itself goes.
+exports.removeHead = function(head, callback){
+    var remaining = exports.forHead(head);
+    var next = function(i){
+        if(i === remaining.length) return callback(null, remaining);
+        fits.remove(remaining[i]._id, function(err){
+            if(err) return callback(err);
+            next(i + 1);
+        });
+    };
+    next(0);
+};
@@ -0,0 +1,123 @@
+var AutoFit = require('../public/auto-fit');
+var Collision = require('../public/collision');
+var accessories = require('./accessories');
+var modelFiles = require('./model-files');
+var fits = require('./fits');
+var worker = require('./worker');
+
+// Server side of the viewer's "Auto fit": works out where every hat in the
+// catalog sits on a head (see public/auto-fit.js) so the fits are there
+// before anyone opens the head.
+
+// Hats by name, as {mesh, analysis}; the catalog's models don't change
+// while we run.
+var hats = {};
+
+// Names of the accessories whose anchors say they are hats.
+function listHats(callback){
+    accessories.list(function(err, found){
+        if(err) return callback(err);
+        callback(null, found.filter(function(a){ return a.category === 'hat'; }).map(function(a){ return a.name; }));
+    });
+}
+
+function analyseHat(name, callback){
+    if(hats[name]) return callback(null, hats[name]);
+    modelFiles.readModel(name, function(err, model){
+        if(err) return callback(err);
+        hats[name] = {mesh: model.mesh, analysis: AutoFit.analyseHat(model.mesh, model.anchors)};
+        callback(null, hats[name]);
+    });
+}
+
+// Fits the hat `hat` to the head stored as `head`. Calls back with a
+// placement like AutoFit.fit(), or null if the meshes couldn't be measured.
+exports.fitHat = function(head, hat, callback){
+    modelFiles.readModel(head, function(err, model){
+        if(err) return callback(err);
+        analyseHat(hat, function(err, analysed){
+            if(err) return callback(err);
+            callback(null, AutoFit.fit(AutoFit.analyseHead(model.mesh, model.anchors), analysed.analysis));
+        });
+    });
+};
+
+// Checks whether `accessory`, placed on `head` by `placement`, cuts into
+// it. Calls back with a Collision.check() result, minus the per-vertex
+// detail.
+exports.check = function(head, accessory, placement, callback){
+    modelFiles.readModel(head, function(err, headModel){
+        if(err) return callback(err);
+        modelFiles.readModel(accessory, function(err, accessoryModel){
+            if(err) return callback(err);
+            var result = Collision.check(headModel.mesh, accessoryModel.mesh, placement, headModel.anchors);
+            delete result.vertices;
+            delete result.triangles;
+            callback(null, result);
+        });
+    });
+};
+
+// Works out where every hat in the catalog sits on `head`, saving nothing.
+// Calls back with [{accessory, placement, collision}]: placement is null for
+// a hat that couldn't be placed, and collision says how far one cuts in.
+exports.placements = function(head, callback){
+    modelFiles.readModel(head, function(err, model){
+        if(err) return callback(err);
+        var analysis = AutoFit.analyseHead(model.mesh, model.anchors);
+        var grid = Collision.buildGrid(model.mesh);
+        listHats(function(err, names){
+            if(err) return callback(err);
+            var found = [];
+            var next = function(i){
+                if(i === names.length) return callback(null, found);
+                analyseHat(names[i], function(err, hat){
+                    if(err) return callback(err);
+                    var placement = AutoFit.fit(analysis, hat.analysis);
+                    var collision = placement && Collision.check(model.mesh, hat.mesh, placement, model.anchors, grid);
+                    found.push({
+                        accessory: names[i],
+                        placement: placement,
+                        collision: collision && {penetrating: collision.penetrating, maxDepth: collision.maxDepth, side: collision.region && collision.region.side}
+                    });
+                    next(i + 1);
+                });
+            };
+            next(0);
+        });
+    });
+};
+
+// Fits every hat in the catalog to `head` and saves the results as its
+// fits, leaving alone any the customer has already adjusted by hand and
+// dropping any that cut into the head. The fitting is done by placements()
+// in a worker (see lib/worker.js). Calls back with the saved fits.
+exports.precompute = function(head, callback){
+    worker.run('fitting', 'placements', [head], function(err, found){
+        if(err) return callback(err);
+        var saved = [];
+        var next = function(i){
+            if(i === found.length) return callback(null, saved);
+            var name = found[i].accessory, placement = found[i].placement, collision = found[i].collision;
+            var existing = fits.get(head, name);
+            if(existing && !existing.auto || !placement) return next(i + 1);
+            if(collision.penetrating){
+                console.log("Not fitting " + name + " to " + head + ": it cuts " +
+                    collision.maxDepth.toFixed(2) + " into the " + collision.side + ".");
+                // An older automatic fit would be just as wrong now.
+                return fits.remove(head, name, function(err){
+                    if(err) return callback(err);
+                    next(i + 1);
+                });
+            }
+            placement.slot = 'hat';
+            placement.auto = true;
+            fits.save(head, name, placement, function(err, fit){
+                if(err) return callback(err);
+                saved.push(fit);
+                next(i + 1);
+            });
+        };
+        next(0);
+    });
+};
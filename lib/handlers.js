@@ -0,0 +1,701 @@
+var fs = require('fs');
+var path = require('path');
+var models = require('./models');
+var upload = require('./upload');
+var fits = require('./fits');
+var fitting = require('./fitting');
+var measure = require('./measure');
+var accessories = require('./accessories');
+var thumbnails = require('./thumbnails');
+var users = require('./users');
+var looks = require('./looks');
+var shares = require('./shares');
+var shareTargets = require('./share-targets');
+var carts = require('./carts');
+var orders = require('./orders');
+var payments = require('./payments');
+var lods = require('./lods');
+var binaryMeshes = require('./binary-meshes');
+var Store = require('./store');
+var worker = require('./worker');
+
+// Request handlers shared by the pages (hack.js) and the JSON API
+// (lib/api.js). The load_* handlers look something up, leave it on req and
+// call next(); the route they are chained into renders it or sends it.
+
+function httpError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function notFound(message){
+    return httpError(404, message);
+}
+
+// Heads belong to whoever uploaded them and only they see them, unless
+// they made them public. Heads uploaded before there were accounts have no
+// owner and stay open to everyone.
+function canView(user, head){
+    return !head.owner || head.public || !!user && user._id === head.owner;
+}
+
+function canChange(user, head){
+    return !head.owner || !!user && user._id === head.owner;
+}
+
+// Someone else's private head looks the same as no head at all; someone
+// who isn't logged in is asked to.
+function accessError(user, name){
+    if(!user) return httpError(401, "Log in to see this head.");
+    return notFound("No head called \"" + name + "\".");
+}
+
+// req.user: whoever is logged in, or null. Also res.locals.user, for the
+// templates.
+function load_user(req, res, next){
+    req.user = req.session && req.session.user ? users.get(req.session.user) : null;
+    res.locals.user = req.user;
+    next();
+}
+
+function require_user(req, res, next){
+    if(!req.user) return next(httpError(401, "Log in first."));
+    next();
+}
+
+// Checks that whoever is asking may see :filename. Models that aren't
+// uploaded heads (the accessories, the sample heads) are open to all. A name
+// no model could have is a 404 before it goes anywhere near a page.
+function check_head(req, res, next){
+    if(!upload.NAME.test(req.params.filename)) return next(notFound("No head called \"" + req.params.filename + "\"."));
+    var head = models.get(req.params.filename);
+    if(head && !canView(req.user, head)) return next(accessError(req.user, req.params.filename));
+    next();
+}
+
+// Checks that whoever is asking may change :filename and its fits. An
+// uploaded head goes through load_own_head, as in the API; anything else
+// must be a sample head that is there, and only someone logged in may fit
+// things to those.
+function check_owner(req, res, next){
+    var name = req.params.filename;
+    if(models.get(name)) return load_own_head(req, res, next);
+    if(!req.user) return next(httpError(401, "Log in to save fits."));
+    if(!upload.NAME.test(name)) return next(notFound("No head called \"" + name + "\"."));
+    fs.stat(path.join(upload.MODEL_DIR, name + '.obj'), function(err){
+        if(err) return next(notFound("No head called \"" + name + "\"."));
+        next();
+    });
+}
+
+// req.path as the static middleware and the routes see it: percent
+// escapes decoded and ".", ".." and empty segments resolved, so that
+// "/models/./<id>.obj" can't slip past a check on "/models/<id>.obj".
+// Null if it doesn't decode.
+function decodedPath(req){
+    try{
+        return path.posix.normalize(decodeURIComponent(req.path));
+    }catch(e){
+        return null;
+    }
+}
+
+// The same check for the files under public/models/ and public/thumbs/,
+// which would otherwise be served to anyone who knew the name.
+var MODEL_FILE = /^\/(?:models|thumbs)\/([\w-]+)[.\/]/;
+
+function check_files(req, res, next){
+    var decoded = decodedPath(req);
+    if(decoded === null) return next(httpError(400, "That isn't a file name."));
+    var match = MODEL_FILE.exec(decoded);
+    if(!match) return next();
+    var head = models.get(match[1]);
+    if(head && !canView(req.user, head)) return next(accessError(req.user, match[1]));
+    next();
+}
+
+// Binary meshes (see lib/binary-meshes.js) only change when their model
+// does, which for heads is never; browsers may keep them a day and check
+// back with the ETag after that. Private heads' stay out of shared caches.
+var MESH_MAX_AGE = 24 * 60 * 60;
+
+function meshHeaders(res, isPublic){
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Cache-Control', (isPublic ? 'public' : 'private') + ', max-age=' + MESH_MAX_AGE);
+}
+
+// Sets the headers for binary meshes under /models/ before the static
+// middleware sends them.
+var MESH_FILE = /^\/models\/([\w-]+)[\w.-]*\.mesh$/;
+
+function mesh_headers(req, res, next){
+    var match = MESH_FILE.exec(decodedPath(req) || '');
+    if(!match) return next();
+    var head = models.get(match[1]);
+    meshHeaders(res, !head || canView(null, head));
+    next();
+}
+
+function new_model(req, res, next){
+    var id = models.newId();
+    upload.store(id, req.files, function(err, stats){
+        if(err) return next(err);
+        models.create({
+            _id: id,
+            name: req.body.name,
+            owner: req.user ? req.user._id : null,
+            public: req.body.public === true || req.body.public === 'on',
+            vertices: stats.vertices,
+            faces: stats.faces,
+            bbox: stats.bbox,
+            center: stats.center,
+            files: stats.files
+        }, function(err, model){
+            if(err){
+                upload.discard(stats.files, function(){});
+                return next(err);
+            }
+            // Fitting, measuring, simplifying and drawing a big scan takes a
+            // while, so the uploader gets the head straight away and the rest
+            // turns up as it is done.
+            req.head = model;
+            next();
+            prepare(model._id);
+        });
+    });
+}
+
+// The work done on a new head after it is saved, in order. The heavy part
+// of each stage runs in a worker process (see lib/worker.js), so the server
+// goes on answering while a big scan is worked on; the first three save
+// what their worker finds, the last two only write files.
+var PREPARE = [
+    [fitting.precompute, "fit hats to"],
+    [measure.measure, "measure"],
+    [lods.generate, "simplify"],
+    [worker.inWorker('binary-meshes', 'update'), "write binary meshes for"],
+    [worker.inWorker('thumbnails', 'forHead'), "draw thumbnails for"]
+];
+
+// A head we can't fit hats to or measure is still worth showing, so a stage
+// that fails is logged and the rest carry on. A head deleted meanwhile is
+// left alone.
+function prepare(id, stage){
+    stage = stage || 0;
+    if(stage === PREPARE.length || !models.get(id)) return;
+    PREPARE[stage][0](id, function(err){
+        if(err) console.log("Couldn't " + PREPARE[stage][1] + " " + id + ": " + err.message);
+        prepare(id, stage + 1);
+    });
+}
+
+// req.heads: every head in the catalog the user may see, newest first.
+function load_heads(req, res, next){
+    req.heads = models.list().filter(function(head){ return canView(req.user, head); });
+    next();
+}
+
+// req.head: the catalog entry for :filename, or a 404 (or 401) if there
+// isn't one the user may see.
+function load_head(req, res, next){
+    req.head = models.get(req.params.filename);
+    if(!req.head) return next(notFound("No head called \"" + req.params.filename + "\"."));
+    if(!canView(req.user, req.head)) return next(accessError(req.user, req.params.filename));
+    next();
+}
+
+// Like load_head, for changing the head: someone who may only look gets a
+// 403.
+function load_own_head(req, res, next){
+    load_head(req, res, function(err){
+        if(err) return next(err);
+        if(!canChange(req.user, req.head)) return next(httpError(403, "Only its owner can change this head."));
+        next();
+    });
+}
+
+// req.fits: the fits saved for :filename, which need not be in the catalog.
+function load_fits(req, res, next){
+    req.fits = fits.forHead(req.params.filename);
+    next();
+}
+
+// req.fit: the fit of :accessory on :filename, or a 404.
+function load_fit(req, res, next){
+    req.fit = fits.get(req.params.filename, req.params.accessory);
+    if(!req.fit) return next(notFound("No fit for \"" + req.params.accessory + "\" on this head."));
+    next();
+}
+
+// req.size: the head's measurements, or null if it can't be measured.
+function load_size(req, res, next){
+    measure.measure(req.params.filename, function(err, measurements){
+        req.size = err ? null : measurements;
+        next();
+    });
+}
+
+// req.accessories: the accessory catalog, or just ?category= of it.
+function load_accessories(req, res, next){
+    accessories.list(req.query.category || null, function(err, found){
+        if(err) return next(err);
+        req.accessories = found;
+        next();
+    });
+}
+
+// req.search: the product search in the query string (see
+// accessories.search()), with ?min= and ?max= in cents. req.accessories:
+// what it finds.
+function search_accessories(req, res, next){
+    var query = req.query;
+    var search = {
+        q: typeof query.q === 'string' ? query.q : '',
+        category: query.category || null,
+        size: query.size ? String(query.size).toUpperCase() : null,
+        sort: query.sort || null
+    };
+    var prices = ['min', 'max'];
+    for(var i = 0; i < prices.length; i++){
+        var value = query[prices[i]];
+        if(value === undefined || value === '') continue;
+        if(!/^\d+$/.test(value)) return next(httpError(400, "\"" + prices[i] + "\" is a price in cents."));
+        search[prices[i]] = parseInt(value, 10);
+    }
+    if(search.size && measure.LETTER_SIZES.indexOf(search.size) === -1){
+        return next(httpError(400, "Sizes are " + measure.LETTER_SIZES.join(", ") + "."));
+    }
+    accessories.search(search, function(err, found){
+        if(err) return next(err);
+        req.search = search;
+        req.accessories = found;
+        next();
+    });
+}
+
+// req.accessory: the accessory called :accessory (or the body's
+// "accessory" on routes without one), or a 404.
+function load_accessory(req, res, next){
+    var name = req.params.accessory || (req.body && req.body.accessory);
+    accessories.get(String(name), function(err, accessory){
+        if(err) return next(err);
+        req.accessory = accessory;
+        next();
+    });
+}
+
+function head_size(req, res, next){
+    measure.measure(req.params.filename, function(err, measurements){
+        if(err) return next(err);
+        if(!measurements){
+            err = new Error("Couldn't find the brow on this head to measure it.");
+            err.status = 422;
+            return next(err);
+        }
+        res.json(measurements);
+    });
+}
+
+// Body: {accessory, slot, position, rotation, scale, offset} from the
+// viewer's "save fit" button; the API names the accessory in the URL
+// instead. Either way load_accessory has found it in the catalog first.
+function save_fit(req, res, next){
+    // Whatever is saved here counts as placed by hand, so precomputed fits
+    // never overwrite it.
+    req.body.auto = false;
+    fits.save(req.params.filename, req.accessory.name, req.body, function(err, fit){
+        if(err) return next(err);
+        req.fit = fit;
+        // The picture of the head wearing it shows the old fit.
+        thumbnails.discard(req.params.filename, 'with-' + fit.accessory, function(){
+            next();
+        });
+    });
+}
+
+// req.looks: the logged in user's saved looks.
+function load_looks(req, res, next){
+    req.looks = req.user ? looks.forOwner(req.user._id) : [];
+    next();
+}
+
+// req.look: the look named by :look (or ?look= on the viewer), or null when
+// there is no such parameter. Looks are their owner's alone.
+function load_look(req, res, next){
+    var id = req.params.look || req.query.look;
+    req.look = null;
+    if(!id) return next();
+    var look = looks.get(id);
+    if(!look || !req.user || look.owner !== req.user._id){
+        return next(req.user ? notFound("No look called \"" + id + "\".") : httpError(401, "Log in to see this look."));
+    }
+    var head = models.get(look.head);
+    if(head && !canView(req.user, head)) return next(accessError(req.user, look.head));
+    req.look = look;
+    next();
+}
+
+// Body: {name, head, accessories, camera, lighting} from the viewer's "Save
+// look" button. See lib/looks.js. The head must be one the user may see:
+// an uploaded head that is theirs or public, or one of the sample heads.
+function save_look(req, res, next){
+    var name = req.body.head;
+    if(typeof name !== 'string' || !upload.NAME.test(name)) return next(httpError(400, "A look needs a head."));
+    var head = models.get(name);
+    if(head && !canView(req.user, head)) return next(accessError(req.user, name));
+    fs.stat(path.join(upload.MODEL_DIR, head ? head.files.obj : name + '.obj'), function(err){
+        if(err) return next(notFound("No head called \"" + name + "\"."));
+        looks.create(req.user._id, req.body, function(err, look){
+            if(err) return next(err);
+            req.look = look;
+            next();
+        });
+    });
+}
+
+function delete_look(req, res, next){
+    looks.remove(req.look._id, function(err){
+        next(err);
+    });
+}
+
+// req.cart: the user's cart, or the session's when nobody is logged in,
+// or null if they have none yet. req.cartLines: its items priced (see
+// orders.price()).
+function load_cart(req, res, next){
+    req.cart = req.user ? carts.forUser(req.user._id) : req.session.cart ? carts.get(req.session.cart) : null;
+    orders.price(req.cart ? req.cart.items : [], function(err, priced){
+        if(err) return next(err);
+        req.cartLines = priced;
+        next();
+    });
+}
+
+// Makes req.cart if there is none yet.
+function ensure_cart(req, res, next){
+    if(req.cart) return next();
+    carts.create(req.user ? req.user._id : null, function(err, cart){
+        if(err) return next(err);
+        if(!req.user) req.session.cart = cart._id;
+        req.cart = cart;
+        next();
+    });
+}
+
+// Body: {accessory, quantity}. Quantity defaults to 1.
+function add_to_cart(req, res, next){
+    var quantity = req.body.quantity === undefined ? 1 : +req.body.quantity;
+    accessories.get(req.body.accessory, function(err, accessory){
+        if(err) return next(err);
+        carts.add(req.cart, accessory.name, quantity, function(err, cart){
+            if(err) return next(err);
+            req.cart = cart;
+            next();
+        });
+    });
+}
+
+// Body: {quantity}. Sets how many of :accessory are in the cart; 0 takes
+// it out.
+function update_cart(req, res, next){
+    if(!req.cart) return next(notFound("Your cart is empty."));
+    carts.setQuantity(req.cart, req.params.accessory, +req.body.quantity, function(err, cart){
+        if(err) return next(err);
+        req.cart = cart;
+        next();
+    });
+}
+
+// Body: {name, address, number, expiry, cvc}. Places an order for what is
+// in req.cart (see load_cart) and pays for it; req.order is the paid
+// order. If the card is refused the order is kept as failed and the cart
+// is left as it was, to try again.
+function checkout(req, res, next){
+    if(!req.cart || !req.cart.items.length) return next(httpError(400, "Your cart is empty."));
+    var card = {number: req.body.number, expiry: req.body.expiry, cvc: req.body.cvc};
+    var err = payments.checkCard(card);
+    if(err) return next(err);
+    orders.create(req.user._id, req.cartLines, req.body, function(err, order){
+        if(err) return next(err);
+        payments.charge({
+            amount: order.total,
+            currency: order.currency,
+            description: "Harsha Market order " + order._id,
+            card: {number: card.number, expiry: card.expiry, cvc: card.cvc, name: order.shipping.name}
+        }, function(err, payment){
+            if(err){
+                return orders.failed(order._id, err.message, function(){
+                    next(err);
+                });
+            }
+            orders.paid(order._id, payment, function(err, order){
+                if(err) return next(err);
+                req.order = order;
+                carts.empty(req.cart, function(err){
+                    next(err);
+                });
+            });
+        });
+    });
+}
+
+// req.orders: the logged in user's orders.
+function load_orders(req, res, next){
+    req.orders = req.user ? orders.forOwner(req.user._id) : [];
+    next();
+}
+
+// req.order: the order :order, which only whoever placed it may see.
+function load_order(req, res, next){
+    var order = orders.get(req.params.order);
+    if(!order || !req.user || order.owner !== req.user._id){
+        return next(req.user ? notFound("No order called \"" + req.params.order + "\".") : httpError(401, "Log in to see your orders."));
+    }
+    req.order = order;
+    next();
+}
+
+// Share previews are drawn at the size Facebook and Twitter like best,
+// halved, and kept out of public/ so private links stay private.
+var PREVIEW_DIR = path.join(Store.DATA_DIR, 'previews');
+var PREVIEW_SIZE = {width: 600, height: 315};
+
+// The address people outside will reach `path` at. Set PUBLIC_URL when the
+// server sits behind something that changes the host.
+function publicURL(req, path){
+    return (process.env.PUBLIC_URL || req.protocol + "://" + req.get('host')) + path;
+}
+
+// req.share: the share :share, if it is public or the user's own.
+// Until the owner opts in a link works for nobody else.
+function load_share(req, res, next){
+    var share = shares.get(req.params.share);
+    var own = !!share && !!req.user && share.owner === req.user._id;
+    if(!share || !share.public && !own){
+        if(share && !req.user) return next(httpError(401, "Log in to see this link."));
+        return next(notFound("No shared look called \"" + req.params.share + "\"."));
+    }
+    req.share = share;
+    req.ownShare = own;
+    next();
+}
+
+// Body: {public}. Shares req.look (see load_look).
+function create_share(req, res, next){
+    var isPublic = req.body.public === true || req.body.public === 'on';
+    shares.create(req.look, isPublic, function(err, share){
+        if(err) return next(err);
+        req.share = share;
+        next();
+    });
+}
+
+// Body: {public}. Only the owner may open or close their link.
+function update_share(req, res, next){
+    if(!req.ownShare) return next(httpError(403, "Only whoever shared this can change it."));
+    var isPublic = req.body.public === true || req.body.public === 'on';
+    shares.setPublic(req.share._id, isPublic, function(err, share){
+        if(err) return next(err);
+        req.share = share;
+        next();
+    });
+}
+
+// The shared head's own files (the viewer asks for its .obj or one of its
+// levels of detail, their binary copies, .json and .mtl and texture), which
+// check_files would keep from anyone but the head's owner. Only files of a
+// head that still exists, uploaded or one of the sample heads, and only
+// from public/models/ itself.
+function share_file(req, res, next){
+    var file = req.params.file;
+    var name = req.share.head;
+    if(!upload.NAME.test(file) || path.basename(file) !== file || !upload.NAME.test(name)){
+        return next(notFound("No such file."));
+    }
+    var full = path.resolve(upload.MODEL_DIR, file);
+    if(path.dirname(full) !== path.resolve(upload.MODEL_DIR)) return next(notFound("No such file."));
+
+    var head = models.get(name);
+    var names = [];
+    if(head){
+        for(var key in head.files) names.push(head.files[key]);
+    }else{
+        names = ['obj', 'json', 'mtl'].map(function(ext){ return name + '.' + ext; });
+    }
+    lods.levels(name).forEach(function(level){
+        names.push(level.file, binaryMeshes.meshFile(level.file));
+    });
+    if(names.indexOf(file) === -1) return next(notFound("No such file."));
+    fs.stat(path.join(upload.MODEL_DIR, head ? head.files.obj : name + '.obj'), function(err){
+        if(err) return next(notFound("No such file."));
+        if(/\.mesh$/.test(file)) meshHeaders(res, req.share.public);
+        res.sendfile(full);
+    });
+}
+
+function share_preview(req, res, next){
+    var file = path.join(PREVIEW_DIR, req.share._id + '.png');
+    thumbnails.ensureLook(req.share, file, PREVIEW_SIZE, function(err){
+        if(err) return next(err);
+        res.sendfile(file);
+    });
+}
+
+// req.shareURL, req.previewURL and req.postURL: where the share page, its
+// preview and posting it live.
+function share_links(req, res, next){
+    req.shareURL = publicURL(req, "/shares/" + req.share._id);
+    req.previewURL = req.shareURL + "/preview.png";
+    req.postURL = shareTargets.postURL(req.shareURL, req.share.name);
+    next();
+}
+
+// The stub share target: reads the page it is given the way a real one's
+// crawler would and shows what it found. Only our own share pages, so it
+// can't be pointed at anything else.
+function share_stub(req, res, next){
+    var link = String(req.query.u || "");
+    var prefix = publicURL(req, "/shares/");
+    var share = link.slice(prefix.length);
+    // Only the page itself: the rest goes into a request path as it is.
+    if(link.indexOf(prefix) !== 0 || !/^\w+$/.test(share)){
+        return next(httpError(400, "The stub only posts this site's share links."));
+    }
+    // Ask ourselves, but as the host in the link, so the tags come back as
+    // an outside crawler would see them.
+    var local = {
+        host: '127.0.0.1',
+        port: req.socket.localPort,
+        path: "/shares/" + share,
+        headers: {host: req.get('host')}
+    };
+    shareTargets.scrape(local, function(err, tags){
+        if(err) return next(err);
+        req.shareURL = link;
+        req.tags = tags;
+        next();
+    });
+}
+
+// Logs `user` in on a fresh session, so an id planted before logging in is
+// worthless, bringing along whatever was put in the cart before.
+function logIn(req, user, next){
+    var cart = req.session.cart;
+    req.session.regenerate(function(err){
+        if(err) return next(err);
+        req.session.user = user._id;
+        req.user = user;
+        carts.claim(cart, user._id, function(err){
+            next(err);
+        });
+    });
+}
+
+// Body: {username, password}. Creates the account and logs it in.
+function register(req, res, next){
+    users.register(req.body.username, req.body.password, function(err, user){
+        if(err) return next(err);
+        logIn(req, user, next);
+    });
+}
+
+// Body: {username, password}.
+function login(req, res, next){
+    users.authenticate(req.body.username, req.body.password, function(err, user){
+        if(err) return next(err);
+        logIn(req, user, next);
+    });
+}
+
+function logout(req, res, next){
+    req.session.destroy(function(err){
+        if(err) return next(err);
+        req.user = null;
+        next();
+    });
+}
+
+// Draws a thumbnail nobody has asked for before; once drawn, the static
+// middleware serves it. Private heads' only for whoever may see the head.
+function thumbnail(req, res, next){
+    var head = models.get(req.params.model);
+    if(head && !canView(req.user, head)) return next(accessError(req.user, req.params.model));
+    thumbnails.ensure(req.params.model, req.params.view, function(err, file){
+        if(err) return next(err);
+        res.sendfile(file);
+    });
+}
+
+// Takes the head off the catalog along with its files, fits, looks and
+// shares.
+function delete_head(req, res, next){
+    var head = req.head;
+    fits.removeHead(head._id, function(err){
+        if(err) return next(err);
+        looks.removeHead(head._id, function(err){
+            if(err) return next(err);
+            shares.removeHead(head._id, function(err, removed){
+                if(err) return next(err);
+                removed.forEach(function(share){
+                    fs.unlink(path.join(PREVIEW_DIR, share._id + '.png'), function(){});
+                });
+                models.remove(head._id, function(err){
+                    if(err) return next(err);
+                    upload.discard(head.files, function(){
+                        binaryMeshes.remove(head._id, function(){
+                            lods.remove(head._id, function(){
+                                thumbnails.discard(head._id, null, function(){
+                                    next();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+exports.load_user = load_user;
+exports.require_user = require_user;
+exports.check_head = check_head;
+exports.check_owner = check_owner;
+exports.check_files = check_files;
+exports.mesh_headers = mesh_headers;
+exports.register = register;
+exports.login = login;
+exports.logout = logout;
+exports.new_model = new_model;
+exports.load_heads = load_heads;
+exports.load_head = load_head;
+exports.load_own_head = load_own_head;
+exports.load_fits = load_fits;
+exports.load_fit = load_fit;
+exports.load_size = load_size;
+exports.load_accessories = load_accessories;
+exports.search_accessories = search_accessories;
+exports.load_accessory = load_accessory;
+exports.head_size = head_size;
+exports.save_fit = save_fit;
+exports.delete_head = delete_head;
+exports.thumbnail = thumbnail;
+exports.load_looks = load_looks;
+exports.load_look = load_look;
+exports.save_look = save_look;
+exports.delete_look = delete_look;
+exports.load_share = load_share;
+exports.create_share = create_share;
+exports.update_share = update_share;
+exports.share_file = share_file;
+exports.share_preview = share_preview;
+exports.share_links = share_links;
+exports.share_stub = share_stub;
+exports.PREVIEW_SIZE = PREVIEW_SIZE;
+exports.load_cart = load_cart;
+exports.ensure_cart = ensure_cart;
+exports.add_to_cart = add_to_cart;
+exports.update_cart = update_cart;
+exports.checkout = checkout;
+exports.load_orders = load_orders;
+exports.load_order = load_order;
@@ -0,0 +1,62 @@
+var fs = require('fs');
+var ply = require('./ply');
+var stl = require('./stl');
+
+// Models uploaded in another format are turned into OBJ on the way in, so
+// everything after that (validation, centering, levels of detail, binary
+// meshes, the viewers) only ever sees OBJ. Each importer's parse(buffer)
+// returns {positions, colors, faces}; see lib/ply.js.
+var IMPORTERS = {
+    '.ply': ply,
+    '.stl': stl
+};
+
+function format(value){
+    return String(Number(value.toFixed(6)));
+}
+
+// Writes an imported mesh as OBJ text. Vertex colours go on the end of the
+// "v" lines ("v x y z r g b"), as MeshLab and ZBrush write them.
+function toOBJ(mesh, source){
+    var lines = ['# Imported from ' + source];
+    var p = mesh.positions, c = mesh.colors;
+    for(var i = 0; i < p.length; i += 3){
+        var line = 'v ' + format(p[i]) + ' ' + format(p[i + 1]) + ' ' + format(p[i + 2]);
+        if(c) line += ' ' + format(c[i]) + ' ' + format(c[i + 1]) + ' ' + format(c[i + 2]);
+        lines.push(line);
+    }
+    mesh.faces.forEach(function(face){
+        lines.push('f ' + face.map(function(index){ return index + 1; }).join(' '));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Whether files with extension `ext` (".ply") can be imported.
+function supports(ext){
+    return IMPORTERS.hasOwnProperty(ext.toLowerCase());
+}
+
+// Reads the `ext` file at `from` and writes it to `to` as OBJ. A file the
+// importer can't read comes back as a 422 with a report like the OBJ
+// validator's.
+function convertFile(from, ext, to, callback){
+    var name = ext.substring(1).toUpperCase();
+    fs.readFile(from, function(err, buffer){
+        if(err) return callback(err);
+        var mesh;
+        try{
+            mesh = IMPORTERS[ext.toLowerCase()].parse(buffer);
+        }catch(e){
+            var err = new Error("The uploaded model couldn't be read as " + name + ".");
+            err.status = 422;
+            err.report = {problems: [{line: null, reason: e.message}]};
+            return callback(err);
+        }
+        fs.writeFile(to, toOBJ(mesh, name), callback);
+    });
+}
+
+exports.EXTENSIONS = Object.keys(IMPORTERS);
+exports.supports = supports;
+exports.toOBJ = toOBJ;
+exports.convertFile = convertFile;
@@ -0,0 +1,146 @@
+var fs = require('fs');
+var path = require('path');
+var Store = require('./store');
+var OBJParser = require('../public/obj-parser');
+var decimate = require('./decimate');
+var upload = require('./upload');
+var worker = require('./worker');
+
+// Levels of detail: simpler copies of a model (lib/decimate.js) for when it
+// is drawn small. Level 0 is the model as uploaded; level N is
+// public/models/<name>.lod<N>.obj, served next to it. Each entry looks
+// like:
+// {
+//     _id: "Bowler",                // the model's name
+//     faces: 31616,                 // level 0's
+//     levels: [
+//         {level: 1, faces: 12646, vertices: 6325, file: "Bowler.lod1.obj"}
+//     ],
+//     made: "2013-11-23T17:30:12.000Z"
+// }
+// Heads get theirs when they are uploaded and catalog models when the
+// server first starts with them.
+var lods = new Store('lods');
+
+// Each level keeps `ratio` of the full model's faces and is good for
+// canvases up to `pixels` across.
+var LEVELS = [
+    {ratio: 0.4, pixels: 400},
+    {ratio: 0.15, pixels: 200},
+    {ratio: 0.05, pixels: 100}
+];
+
+// Levels smaller than this aren't worth a file of their own.
+var MIN_FACES = 500;
+
+function levelFile(name, level){
+    return name + '.lod' + level + '.obj';
+}
+
+function unlinkAll(files, callback){
+    var remaining = files.length;
+    if(!remaining) return callback();
+    files.forEach(function(file){
+        fs.unlink(path.join(upload.MODEL_DIR, file), function(){
+            if(--remaining === 0) callback();
+        });
+    });
+}
+
+// Every level of `name`, level 0 included, as {level, faces, pixels, file}
+// with pixels null for no limit. Just level 0 (with faces null) for models
+// that have none yet.
+function levels(name){
+    var entry = lods.get(name);
+    var found = [{level: 0, faces: entry ? entry.faces : null, pixels: null, file: name + '.obj'}];
+    if(!entry) return found;
+    return found.concat(entry.levels.map(function(level){
+        return {level: level.level, faces: level.faces, pixels: LEVELS[level.level - 1].pixels, file: level.file};
+    }));
+}
+
+// The simplest level of `name` that still looks right `pixels` across.
+function pick(name, pixels){
+    var all = levels(name);
+    var best = all[0];
+    all.forEach(function(level){
+        if(level.pixels !== null && level.pixels >= pixels) best = level;
+    });
+    return best;
+}
+
+// Throws away `name`'s levels, files and all.
+function remove(name, callback){
+    var entry = lods.get(name);
+    if(!entry) return callback();
+    lods.remove(name, function(err){
+        if(err) return callback(err);
+        unlinkAll(entry.levels.map(function(level){ return level.file; }), callback);
+    });
+}
+
+// Makes (or makes again) every level of public/models/<name>.obj. The
+// simplifying is done by build() in a worker (see lib/worker.js); the
+// entry is saved here.
+function generate(name, callback){
+    remove(name, function(err){
+        if(err) return callback(err);
+        worker.run('lods', 'build', [name], function(err, built){
+            if(err) return callback(err);
+            lods.insert({_id: name, faces: built.faces, levels: built.levels, made: new Date().toISOString()}, callback);
+        });
+    });
+}
+
+// Writes the level files of public/models/<name>.obj and calls back with
+// {faces, levels} for its entry, without saving it.
+function build(name, callback){
+    fs.readFile(path.join(upload.MODEL_DIR, name + '.obj'), 'utf8', function(err, text){
+        if(err) return callback(err);
+        make(name, text, callback);
+    });
+}
+
+function make(name, text, callback){
+    var mesh = OBJParser.parse(text);
+    var faces = mesh.indices.length / 3;
+    var options = {materials: mesh.materials, meta: mesh.meta, uvs: /^vt\s/m.test(text)};
+    var made = [];
+    var next = function(i){
+        var target = i < LEVELS.length ? Math.round(faces * LEVELS[i].ratio) : 0;
+        if(target < MIN_FACES) return callback(null, {faces: faces, levels: made});
+        // Each level starts from the one before, which is quicker than
+        // starting from the full model every time and looks the same.
+        var simple = decimate.simplify(mesh, target);
+        var obj = decimate.toOBJ(simple, options);
+        var file = levelFile(name, i + 1);
+        fs.writeFile(path.join(upload.MODEL_DIR, file), obj, function(err){
+            if(err) return callback(err);
+            mesh = OBJParser.parse(obj);
+            made.push({level: i + 1, faces: mesh.indices.length / 3, vertices: simple.positions.length / 3, file: file});
+            next(i + 1);
+        });
+    };
+    next(0);
+}
+
+// Makes the levels of any of `names` that have none yet, one at a time.
+// Models that can't be read are logged and skipped.
+function ensure(names, callback){
+    var next = function(i){
+        if(i === names.length) return callback();
+        if(lods.get(names[i])) return next(i + 1);
+        generate(names[i], function(err){
+            if(err) console.log("Couldn't simplify " + names[i] + ": " + err.message);
+            next(i + 1);
+        });
+    };
+    next(0);
+}
+
+exports.levels = levels;
+exports.pick = pick;
+exports.generate = generate;
+exports.build = build;
+exports.ensure = ensure;
+exports.remove = remove;
@@ -0,0 +1,123 @@
+var Store = require('./store');
+var fits = require('./fits');
+var upload = require('./upload');
+
+// Looks saved from the viewer: a head, what is on it and how, and how the
+// customer was looking at it. Each entry looks like:
+// {
+//     _id: "e4c1a09b7f3d2658",
+//     owner: "5d0b7e21c4a9f386",    // the user who saved it
+//     name: "Sunday best",
+//     head: "3f9c0e1b2a7d4c55",
+//     accessories: [                // placements as in lib/fits.js
+//         {accessory: "Bowler", slot: "hat", position: [x, y, z],
+//          rotation: [x, y, z], scale: 2.8, offset: [x, y, z]}
+//     ],
+//     camera: {xoff: 0.4, yoff: -0.1, zoom: -3.5},
+//     lighting: {ambient: [r, g, b], direction: [x, y, z],
+//                directional: [r, g, b], position: [x, y, z]},
+//     saved: "2013-11-02T11:26:40.000Z"
+// }
+var looks = new Store('looks');
+
+var MAX_NAME = 80;
+
+function lookError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function isNumber(value){
+    return typeof value === 'number' && isFinite(value);
+}
+
+function isVector(value){
+    return value instanceof Array && value.length === 3 && value.every(isNumber);
+}
+
+var LIGHTS = ['ambient', 'direction', 'directional', 'position'];
+
+// Returns an error describing what is wrong with a look, or null.
+function check(look){
+    if(!look || typeof look.head !== 'string') return lookError(400, "A look needs a head.");
+    // Both end up in file names (see share_file in lib/handlers.js).
+    if(!upload.NAME.test(look.head)) return lookError(400, "\"" + look.head + "\" isn't a head name.");
+    if(!(look.accessories instanceof Array)) return lookError(400, "\"accessories\" must be a list.");
+    for(var i = 0; i < look.accessories.length; i++){
+        var item = look.accessories[i] || {};
+        if(typeof item.accessory !== 'string' || !upload.NAME.test(item.accessory)){
+            return lookError(400, "\"" + item.accessory + "\" isn't an accessory name.");
+        }
+        var err = fits.check(look.head, item.accessory, item);
+        if(err) return err;
+    }
+    var camera = look.camera;
+    if(!camera || !isNumber(camera.xoff) || !isNumber(camera.yoff) || !isNumber(camera.zoom)){
+        return lookError(400, "\"camera\" must have numeric \"xoff\", \"yoff\" and \"zoom\".");
+    }
+    var lighting = look.lighting;
+    if(!lighting || !LIGHTS.every(function(key){ return isVector(lighting[key]); })){
+        return lookError(400, "\"lighting\" must have " + LIGHTS.join(", ") + " as [x, y, z].");
+    }
+    return null;
+}
+
+function placement(item){
+    return {
+        accessory: item.accessory,
+        slot: typeof item.slot === 'string' ? item.slot : null,
+        position: item.position,
+        rotation: item.rotation,
+        scale: item.scale,
+        offset: item.offset
+    };
+}
+
+exports.get = function(id){
+    return looks.get(id);
+};
+
+// The user's looks, newest first.
+exports.forOwner = function(owner){
+    return looks.find(function(look){ return look.owner === owner; }).sort(function(a, b){
+        return a.saved < b.saved ? 1 : a.saved > b.saved ? -1 : 0;
+    });
+};
+
+exports.create = function(owner, look, callback){
+    var err = check(look);
+    if(err) return callback(err);
+    var name = typeof look.name === 'string' && look.name.trim() ? look.name.trim().slice(0, MAX_NAME) : "Untitled look";
+    looks.insert({
+        owner: owner,
+        name: name,
+        head: look.head,
+        accessories: look.accessories.map(placement),
+        camera: {xoff: look.camera.xoff, yoff: look.camera.yoff, zoom: look.camera.zoom},
+        lighting: {
+            ambient: look.lighting.ambient,
+            direction: look.lighting.direction,
+            directional: look.lighting.directional,
+            position: look.lighting.position
+        },
+        saved: new Date().toISOString()
+    }, callback);
+};
+
+exports.remove = function(id, callback){
+    looks.remove(id, callback);
+};
+
+// Drops every look of a head, when the head itself goes.
+exports.removeHead = function(head, callback){
+    var remaining = looks.find(function(look){ return look.head === head; });
+    var next = function(i){
+        if(i === remaining.length) return callback(null, remaining);
+        looks.remove(remaining[i]._id, function(err){
+            if(err) return callback(err);
+            next(i + 1);
+        });
+    };
+    next(0);
+};
@@ -0,0 +1,142 @@
+var Anchors = require('../public/anchors');
+var HeadGeometry = require('../public/head-geometry');
+var models = require('./models');
+var modelFiles = require('./model-files');
+var worker = require('./worker');
+
+// Head circumference and hat size. Hats are sized by the distance round the
+// head at brow level, which is how a tape measure (or a hat's sweatband)
+// sees it: the convex hull of the slice, so hair and ear dents don't count.
+
+// Sizes by head name, for heads that aren't in the catalog, and why the
+// ones that couldn't be measured couldn't; their files don't change.
+var cache = Object.create(null);
+var failed = Object.create(null);
+
+function cross(o, a, b){
+    return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+// Perimeter of the convex hull of flat [x, y] pairs (monotone chain).
+function hullPerimeter(flat){
+    var points = [];
+    for(var i = 0; i < flat.length; i += 2) points.push([flat[i], flat[i + 1]]);
+    if(points.length < 3) return 0;
+    points.sort(function(a, b){ return a[0] - b[0] || a[1] - b[1]; });
+
+    var half = function(list){
+        var hull = [];
+        list.forEach(function(p){
+            while(hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        });
+        hull.pop();
+        return hull;
+    };
+    var hull = half(points).concat(half(points.slice().reverse()));
+
+    var perimeter = 0;
+    for(var i = 0; i < hull.length; i++){
+        var a = hull[i], b = hull[(i + 1) % hull.length];
+        perimeter += Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+    }
+    return perimeter;
+}
+
+// Whole inches and eighths, the way fitted hats are labelled: "7 1/8".
+function eighths(value){
+    var total = Math.round(value * 8);
+    var whole = Math.floor(total / 8), rest = total % 8;
+    if(!rest) return String(whole);
+    var divisor = 8;
+    while(rest % 2 === 0){
+        rest /= 2;
+        divisor /= 2;
+    }
+    return whole + " " + rest + "/" + divisor;
+}
+
+// Adult and children's heads alike fall well inside this, in
+// centimeters. Anything outside it is a scan in the wrong units or not a
+// head at all, and gets no sizes rather than nonsense ones.
+var HEAD_RANGE = [40, 70];
+
+var LETTERS = [[54, "XS"], [56, "S"], [58, "M"], [60, "L"], [62, "XL"], [Infinity, "XXL"]];
+
+// Hat sizes for a head circumference in centimeters. US fitted sizes are
+// the head's diameter in inches to the nearest eighth; UK sizes run an
+// eighth smaller; EU sizes are the circumference itself.
+function sizes(circumference){
+    var us = circumference / 2.54 / Math.PI;
+    var letter = LETTERS.filter(function(l){ return circumference < l[0]; })[0][1];
+    return {
+        us: eighths(us),
+        uk: eighths(us - 1 / 8),
+        eu: Math.round(circumference),
+        letter: letter
+    };
+}
+
+// Measures a parsed head. Returns {circumference, units: "cm", height,
+// sizes}, where height is the brow level in the head's own coordinates, or
+// null if the slice there is empty. Sizes are null when the circumference
+// is outside HEAD_RANGE.
+function measureMesh(mesh, anchors){
+    var meta = anchors || {};
+    var frame = HeadGeometry.frame(mesh, meta);
+    var height = HeadGeometry.browHeight(frame, meta);
+    var perimeter = hullPerimeter(HeadGeometry.slice(frame, height).points);
+    if(!perimeter) return null;
+    var circumference = perimeter * Anchors.UNITS[meta.units || 'cm'];
+    return {
+        circumference: Number(circumference.toFixed(1)),
+        units: 'cm',
+        height: height,
+        sizes: circumference >= HEAD_RANGE[0] && circumference <= HEAD_RANGE[1] ? sizes(circumference) : null
+    };
+}
+
+// Measures the head stored as public/models/<name>.obj, with nothing saved.
+function measureFile(name, callback){
+    modelFiles.readModel(name, function(err, head){
+        if(err) return callback(err);
+        if(head.anchors && head.anchors.kind === 'accessory'){
+            err = new Error("\"" + name + "\" is an accessory, not a head.");
+            err.status = 400;
+            return callback(err);
+        }
+        callback(null, measureMesh(head.mesh, head.anchors));
+    });
+}
+
+// Measures the head stored as public/models/<name>.obj, once, in a worker
+// (see lib/worker.js): catalog heads keep the result in their entry,
+// others in memory.
+function measure(name, callback){
+    var model = models.get(name);
+    if(model && model.measurements) return callback(null, model.measurements);
+    if(name in cache) return callback(null, cache[name]);
+    if(name in failed) return callback(failed[name]);
+    modelFiles.checkModel(name, function(err){
+        if(err) return callback(err);
+        worker.run('measure', 'measureFile', [name], function(err, measurements){
+            if(err && err.status && !model) failed[name] = err;
+            if(err) return callback(err);
+            if(!model){
+                cache[name] = measurements;
+                return callback(null, measurements);
+            }
+            models.update(name, {measurements: measurements}, function(err){
+                callback(err, measurements);
+            });
+        });
+    });
+}
+
+exports.HEAD_RANGE = HEAD_RANGE;
+exports.LETTER_SIZES = LETTERS.map(function(l){ return l[1]; });
+exports.hullPerimeter = hullPerimeter;
+exports.sizes = sizes;
+exports.measureMesh = measureMesh;
+exports.measureFile = measureFile;
+exports.measure = measure;
@@ -0,0 +1,81 @@
+var fs = require('fs');
+var path = require('path');
+var OBJParser = require('../public/obj-parser');
+var upload = require('./upload');
+
+// Reading models back out of public/models/ for the server side
+// measurements (fitting, sizing).
+
+function readJSON(file, callback){
+    fs.readFile(file, 'utf8', function(err, text){
+        if(err) return callback(err);
+        try{
+            callback(null, JSON.parse(text));
+        }catch(e){
+            callback(e);
+        }
+    });
+}
+
+function noModel(name){
+    var err = new Error("No model called \"" + name + "\".");
+    err.status = 404;
+    return err;
+}
+
+// Calls back with readModel()'s 404 if there is no public/models/<name>.obj,
+// without reading it: worth knowing before starting a worker on it.
+function checkModel(name, callback){
+    if(!upload.NAME.test(name)) return callback(noModel(name));
+    fs.stat(path.join(upload.MODEL_DIR, name + '.obj'), function(err){
+        callback(err ? noModel(name) : null);
+    });
+}
+
+// Parses public/models/<name>.obj and its anchors. Calls back with
+// {mesh, anchors}; anchors are null when the model has none.
+function readModel(name, callback){
+    readLevel(name, name + '.obj', callback);
+}
+
+// Like readModel(), but the mesh comes from `file` in public/models/, one
+// of the model's levels of detail (see lib/lods.js).
+function readLevel(name, file, callback){
+    // Model names come straight from URLs; keep them inside public/models/.
+    if(!upload.NAME.test(name) || !upload.NAME.test(file)) return callback(noModel(name));
+    fs.readFile(path.join(upload.MODEL_DIR, file), 'utf8', function(err, text){
+        if(err) return callback(err.code === 'ENOENT' ? noModel(name) : err);
+        var mesh = OBJParser.parse(text);
+        readJSON(path.join(upload.MODEL_DIR, name + '.json'), function(err, anchors){
+            callback(null, {mesh: mesh, anchors: err ? null : anchors});
+        });
+    });
+}
+
+// Counts for the API: {vertices, faces, groups, materials (names), bbox,
+// center, units}, in the model's own units.
+function meshStats(name, callback){
+    readModel(name, function(err, model){
+        if(err) return callback(err);
+        var mesh = model.mesh;
+        var materials = [];
+        mesh.groups.forEach(function(group){
+            if(group.material && materials.indexOf(group.material) === -1) materials.push(group.material);
+        });
+        callback(null, {
+            vertices: mesh.positions.length / 3,
+            faces: mesh.indices.length / 3,
+            groups: mesh.groups.length,
+            materials: materials,
+            bbox: mesh.bbox,
+            center: mesh.center,
+            units: (model.anchors && model.anchors.units) || 'cm'
+        });
+    });
+}
+
+exports.readJSON = readJSON;
+exports.checkModel = checkModel;
+exports.readModel = readModel;
+exports.readLevel = readLevel;
+exports.meshStats = meshStats;
@@ -0,0 +1,56 @@
+var Store = require('./store');
+
+// Catalog of uploaded head scans. Each entry looks like:
+// {
+//     _id: "3f9c0e1b2a7d4c55",
+//     name: "Pratik",
+//     owner: "5d0b7e21c4a9f386",   // the uploader's user id (lib/users.js), or
+//                                   // null for heads from before accounts
+//     public: false,                // whether anyone else may see it
+//     uploaded: "2013-10-13T04:12:55.000Z",
+//     vertices: 20431,
+//     faces: 40650,
+//     bbox: {min: [x, y, z], max: [x, y, z]},
+//     center: [x, y, z],    // offset subtracted from the upload to center it
+//     measurements: {circumference: 57.2, units: "cm", height: 1.9,
+//                    sizes: {us: "7 1/8", uk: "7", eu: 57, letter: "M"}},
+//     files: {obj: "3f9c0e1b2a7d4c55.obj", mtl: ..., texture: ..., anchors: "3f9c0e1b2a7d4c55.json"}
+// }
+var models = new Store('models');
+
+exports.newId = Store.newId;
+
+exports.list = function(){
+    return models.all().sort(function(a, b){
+        return a.uploaded < b.uploaded ? 1 : a.uploaded > b.uploaded ? -1 : 0;
+    });
+};
+
+exports.get = function(id){
+    return models.get(id);
+};
+
+exports.create = function(fields, callback){
+    var id = fields._id || Store.newId();
+    var model = {
+        _id: id,
+        name: fields.name || "Untitled scan",
+        owner: fields.owner || null,
+        public: fields.public === true,
+        uploaded: new Date().toISOString(),
+        vertices: fields.vertices || 0,
+        faces: fields.faces || 0,
+        bbox: fields.bbox || null,
+        center: fields.center || [0, 0, 0],
+        files: fields.files || {obj: id + '.obj'}
+    };
+    models.insert(model, callback);
+};
+
+exports.update = function(id, fields, callback){
+    models.update(id, fields, callback);
+};
+
+exports.remove = function(id, callback){
+    models.remove(id, callback);
+};
@@ -0,0 +1,124 @@
+var fs = require('fs');
+var path = require('path');
+
+// Node port of CenterOBJ (test.cpp). Shifts every vertex so the model is
+// centered on the origin, either on the vertex average (what CenterOBJ did)
+// or on the middle of its bounding box, and can optionally rescale it so
+// its largest dimension is 1 unit. Normals survive both untouched.
+
+function format(value){
+    return String(Number(value.toFixed(6)));
+}
+
+// Returns {text, center: [x, y, z], scale, bbox: {min, max}} where bbox is
+// the box of the normalized model.
+function normalize(text, options){
+    options = options || {};
+    var mode = options.center || 'mean';
+    var lines = String(text).split(/\r?\n/);
+
+    var total = [0, 0, 0];
+    var min = [Infinity, Infinity, Infinity];
+    var max = [-Infinity, -Infinity, -Infinity];
+    var count = 0;
+    for(var i = 0; i < lines.length; i++){
+        var parts = lines[i].trim().split(/\s+/);
+        if(parts[0] !== 'v') continue;
+        for(var k = 0; k < 3; k++){
+            var value = parseFloat(parts[k + 1]);
+            total[k] += value;
+            min[k] = Math.min(min[k], value);
+            max[k] = Math.max(max[k], value);
+        }
+        count++;
+    }
+    if(count === 0){
+        return {text: String(text), center: [0, 0, 0], scale: 1, bbox: null};
+    }
+
+    var center = [0, 1, 2].map(function(k){
+        return mode === 'bbox' ? (min[k] + max[k]) / 2 : total[k] / count;
+    });
+    var scale = 1;
+    if(options.unit){
+        var extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+        if(extent > 0) scale = 1 / extent;
+    }
+
+    for(var i = 0; i < lines.length; i++){
+        var parts = lines[i].trim().split(/\s+/);
+        if(parts[0] !== 'v') continue;
+        for(var k = 0; k < 3; k++){
+            parts[k + 1] = format((parseFloat(parts[k + 1]) - center[k]) * scale);
+        }
+        lines[i] = parts.join(' ');
+    }
+
+    return {
+        text: lines.join('\n'),
+        center: center,
+        scale: scale,
+        bbox: {
+            min: [0, 1, 2].map(function(k){ return (min[k] - center[k]) * scale; }),
+            max: [0, 1, 2].map(function(k){ return (max[k] - center[k]) * scale; })
+        }
+    };
+}
+
+// Normalizes `file` and writes the result to `output` (defaults to
+// overwriting the file). Calls back with the same summary as normalize(),
+// minus the text.
+function normalizeFile(file, output, options, callback){
+    fs.readFile(file, 'utf8', function(err, text){
+        if(err) return callback(err);
+        var result = normalize(text, options);
+        fs.writeFile(output || file, result.text, function(err){
+            if(err) return callback(err);
+            delete result.text;
+            callback(null, result);
+        });
+    });
+}
+
+exports.normalize = normalize;
+exports.normalizeFile = normalizeFile;
+
+// node lib/normalize.js [--center=mean|bbox] [--unit] [--out=dir] <dir|file.obj>...
+if(require.main === module){
+    var options = {};
+    var outDir = null;
+    var targets = [];
+    process.argv.slice(2).forEach(function(arg){
+        if(arg.indexOf('--center=') === 0) options.center = arg.substring(9);
+        else if(arg === '--unit') options.unit = true;
+        else if(arg.indexOf('--out=') === 0) outDir = arg.substring(6);
+        else targets.push(arg);
+    });
+    if(!targets.length || (options.center && ['mean', 'bbox'].indexOf(options.center) === -1)){
+        console.log("usage: node lib/normalize.js [--center=mean|bbox] [--unit] [--out=dir] <dir|file.obj>...");
+        process.exit(1);
+    }
+
+    var files = [];
+    targets.forEach(function(target){
+        if(fs.statSync(target).isDirectory()){
+            fs.readdirSync(target).forEach(function(name){
+                if(path.extname(name).toLowerCase() === '.obj') files.push(path.join(target, name));
+            });
+        }
+        else{
+            files.push(target);
+        }
+    });
+
+    var next = function(i){
+        if(i === files.length) return;
+        var output = outDir ? path.join(outDir, path.basename(files[i])) : null;
+        normalizeFile(files[i], output, options, function(err, result){
+            if(err) console.log(files[i] + ": " + err.message);
+            else console.log(files[i] + ": shifted by " + result.center.map(format).join(" ") + ", scaled by " + format(result.scale));
+            next(i + 1);
+        });
+    };
+    next(0);
+}
@@ -0,0 +1,167 @@
+var path = require('path');
+
+// Largest meshes we accept. A full resolution Kinect Fusion head is a few
+// hundred thousand vertices, so this leaves plenty of headroom.
+var MAX_VERTICES = 1000000;
+var MAX_FACES = 2000000;
+
+// Stop collecting problems after this many; one broken exporter setting
+// usually breaks every line and nobody reads past the first screenful.
+var MAX_PROBLEMS = 100;
+
+var SUPPORTED = ['v', 'vn', 'vt', 'f', 'o', 'g', 's', 'usemtl', 'mtllib'];
+
+// Order of the references in a "v/vt/vn" face corner.
+var CORNER_KINDS = ['v', 'vt', 'vn'];
+
+function isNumber(token){
+    return token !== undefined && token !== '' && isFinite(Number(token));
+}
+
+// Checks an OBJ file line by line and returns
+// {
+//     valid: true|false,
+//     problems: [{line: 12, reason: "..."}],    // line is null for whole-file problems
+//     stats: {vertices, normals, uvs, faces, triangles, bbox},
+//     sanitized: "..."    // only when valid
+// }
+// Faces may only refer to vertices, uvs and normals declared above them:
+// the parser (public/obj-parser.js) reads the file in one pass.
+function validate(text, options){
+    options = options || {};
+    var maxVertices = options.maxVertices || MAX_VERTICES;
+    var maxFaces = options.maxFaces || MAX_FACES;
+
+    var lines = String(text).split(/\r?\n/);
+    var problems = [];
+    var truncated = false;
+    var counts = {v: 0, vn: 0, vt: 0};
+    var stats = {vertices: 0, normals: 0, uvs: 0, faces: 0, triangles: 0, bbox: null};
+    var min = [Infinity, Infinity, Infinity];
+    var max = [-Infinity, -Infinity, -Infinity];
+    var output = [];
+
+    var totalVertices = 0;
+    for(var i = 0; i < lines.length; i++){
+        if(/^\s*v\s/.test(lines[i])) totalVertices++;
+    }
+
+    var problem = function(line, reason){
+        if(problems.length < MAX_PROBLEMS) problems.push({line: line, reason: reason});
+        else truncated = true;
+    };
+
+    // Don't bother walking a file we are going to refuse anyway.
+    if(totalVertices > maxVertices){
+        problem(null, "Model has " + totalVertices + " vertices; the limit is " + maxVertices);
+        stats.vertices = totalVertices;
+        return {valid: false, problems: problems, truncated: false, stats: stats};
+    }
+
+    for(var i = 0; i < lines.length; i++){
+        var number = i + 1;
+        var line = lines[i].trim();
+        if(line.length === 0 || line[0] === '#'){
+            output.push(line);
+            continue;
+        }
+        var parts = line.split(/\s+/);
+        var keyword = parts[0];
+
+        if(SUPPORTED.indexOf(keyword) === -1){
+            problem(number, "Unsupported directive \"" + keyword + "\"");
+            continue;
+        }
+
+        if(keyword === 'v' || keyword === 'vn' || keyword === 'vt'){
+            var needed = keyword === 'vt' ? 2 : 3;
+            var bad = false;
+            for(var k = 1; k <= needed; k++){
+                if(!isNumber(parts[k])){
+                    problem(number, "Expected " + needed + " numeric components after \"" + keyword + "\", got \"" + parts.slice(1).join(" ") + "\"");
+                    bad = true;
+                    break;
+                }
+            }
+            counts[keyword]++;
+            if(bad) continue;
+            if(keyword === 'v'){
+                for(var k = 0; k < 3; k++){
+                    var value = Number(parts[k + 1]);
+                    min[k] = Math.min(min[k], value);
+                    max[k] = Math.max(max[k], value);
+                }
+            }
+        }
+        else if(keyword === 'f'){
+            stats.faces++;
+            if(parts.length < 4){
+                problem(number, "Face needs at least 3 vertices");
+                continue;
+            }
+            var layout = null;
+            for(var c = 1; c < parts.length; c++){
+                var refs = parts[c].split('/');
+                var shape = refs.length + (refs[1] === '' ? 'n' : '');
+                if(layout === null) layout = shape;
+                else if(shape !== layout){
+                    problem(number, "Face mixes index formats (\"" + parts[c] + "\")");
+                    break;
+                }
+                for(var r = 0; r < refs.length && r < 3; r++){
+                    if(refs[r] === '' && r > 0) continue;
+                    if(!/^-?\d+$/.test(refs[r]) || refs[r] === '0' || refs[r] === '-0'){
+                        problem(number, "Invalid index \"" + parts[c] + "\"");
+                        continue;
+                    }
+                    var kind = CORNER_KINDS[r];
+                    var index = parseInt(refs[r], 10);
+                    // Negative indices count back from the last element seen so far.
+                    if(index < 0) index = counts[kind] + index + 1;
+                    if(index < 1 || index > counts[kind]){
+                        problem(number, "Index " + parts[c] + " is out of range (" + counts[kind] + " \"" + kind + "\" entries available)");
+                    }
+                }
+            }
+            stats.triangles += parts.length - 3;
+        }
+        else if(keyword === 'mtllib' || keyword === 'usemtl'){
+            if(parts.length < 2){
+                problem(number, "\"" + keyword + "\" needs a name");
+                continue;
+            }
+            // Only ever let a model refer to files next to itself.
+            if(keyword === 'mtllib'){
+                parts = [keyword].concat(parts.slice(1).map(function(name){
+                    return path.basename(name.replace(/\\/g, '/'));
+                }));
+            }
+        }
+        output.push(parts.join(' '));
+    }
+
+    stats.vertices = counts.v;
+    stats.normals = counts.vn;
+    stats.uvs = counts.vt;
+    if(counts.v) stats.bbox = {min: min, max: max};
+
+    if(stats.faces > maxFaces){
+        problem(null, "Model has " + stats.faces + " faces; the limit is " + maxFaces);
+    }
+    if(stats.faces === 0){
+        problem(null, "Model has no faces");
+    }
+
+    var report = {
+        valid: problems.length === 0,
+        problems: problems,
+        truncated: truncated,
+        stats: stats
+    };
+    if(report.valid) report.sanitized = output.join('\n');
+    return report;
+}
+
+exports.MAX_VERTICES = MAX_VERTICES;
+exports.MAX_FACES = MAX_FACES;
+exports.validate = validate;
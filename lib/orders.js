@@ -0,0 +1,106 @@
+var Store = require('./store');
+var accessories = require('./accessories');
+
+// Orders placed at checkout. The lines copy the catalog's title and price
+// at the time, so later price changes don't touch them. Each entry looks
+// like:
+// {
+//     _id: "c3e8a1f40b9d2765",
+//     owner: "5d0b7e21c4a9f386",
+//     items: [
+//         {accessory: "Bowler", title: "Classy bowler hat", price: 4500,
+//          quantity: 2, total: 9000}
+//     ],
+//     currency: "USD",
+//     total: 9000,                  // in cents, like the prices
+//     shipping: {name: "Pratik Shah", address: "..."},
+//     status: "paid",               // "pending" while being charged, or
+//                                   // "failed" if the card was refused
+//     payment: {processor: "fake", id: "fake_9e1f...", last4: "4242"},
+//     failure: null,                // why, when it failed
+//     placed: "2013-11-16T10:05:40.000Z"
+// }
+var orders = new Store('orders');
+
+function orderError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Prices cart items (see lib/carts.js) from the catalog. Calls back with
+// {items, currency, total} in the order shape, plus `missing`: the
+// accessories that are no longer sold. A 409 if they don't share a
+// currency.
+function price(items, callback){
+    var priced = {items: [], currency: null, total: 0, missing: []};
+    var next = function(i){
+        if(i === items.length) return callback(null, priced);
+        accessories.get(items[i].accessory, function(err, accessory){
+            if(err){
+                if(err.status !== 404) return callback(err);
+                priced.missing.push(items[i].accessory);
+                return next(i + 1);
+            }
+            if(priced.currency && accessory.currency !== priced.currency){
+                return callback(orderError(409, "Your cart mixes " + priced.currency + " and " + accessory.currency + " prices."));
+            }
+            priced.currency = accessory.currency;
+            var total = accessory.price * items[i].quantity;
+            priced.items.push({
+                accessory: accessory.name,
+                title: accessory.title,
+                price: accessory.price,
+                quantity: items[i].quantity,
+                total: total
+            });
+            priced.total += total;
+            next(i + 1);
+        });
+    };
+    next(0);
+}
+
+exports.price = price;
+
+exports.get = function(id){
+    return orders.get(id);
+};
+
+// The user's orders, newest first.
+exports.forOwner = function(owner){
+    return orders.find(function(order){ return order.owner === owner; }).sort(function(a, b){
+        return a.placed < b.placed ? 1 : a.placed > b.placed ? -1 : 0;
+    });
+};
+
+// Places a pending order for priced items (see price()), before taking
+// payment for it.
+exports.create = function(owner, priced, shipping, callback){
+    if(priced.missing.length){
+        return callback(orderError(409, "We no longer sell " + priced.missing.join(", ") + "; take it out of your cart first."));
+    }
+    if(!priced.items.length) return callback(orderError(400, "Your cart is empty."));
+    var name = shipping && typeof shipping.name === 'string' ? shipping.name.trim() : "";
+    var address = shipping && typeof shipping.address === 'string' ? shipping.address.trim() : "";
+    if(!name || !address) return callback(orderError(400, "We need a name and address to send it to."));
+    orders.insert({
+        owner: owner,
+        items: priced.items,
+        currency: priced.currency,
+        total: priced.total,
+        shipping: {name: name, address: address},
+        status: 'pending',
+        payment: null,
+        failure: null,
+        placed: new Date().toISOString()
+    }, callback);
+};
+
+exports.paid = function(id, payment, callback){
+    orders.update(id, {status: 'paid', payment: payment}, callback);
+};
+
+exports.failed = function(id, reason, callback){
+    orders.update(id, {status: 'failed', failure: reason}, callback);
+};
@@ -0,0 +1,105 @@
+var crypto = require('crypto');
+
+// Taking payment for orders. A processor is an object with
+//     charge(payment, callback)
+// where payment is
+//     {amount: 4500, currency: "USD", description: "...",
+//      card: {number: "4242424242424242", expiry: "12/29", cvc: "123", name: "..."}}
+// (amount in cents) and callback(err, {id, last4}) gets the processor's id
+// for the charge. A declined card is an error with status 402.
+//
+// PAYMENT_PROCESSOR picks one. Only "fake" comes built in: it charges
+// nothing and never leaves the machine, for development and tests. Add a
+// real one with register() before the server starts taking orders.
+var PROCESSORS = {};
+
+function paymentError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function register(name, processor){
+    PROCESSORS[name] = processor;
+}
+
+// Card numbers the fake processor declines; any other number that passes
+// the Luhn check goes through.
+var DECLINED = {
+    "4000000000000002": "Your card was declined.",
+    "4000000000009995": "Your card doesn't have enough funds."
+};
+
+register('fake', {
+    charge: function(payment, callback){
+        var reason = DECLINED[payment.card.number];
+        // Answer later, like a real one would.
+        setImmediate(function(){
+            if(reason) return callback(paymentError(402, reason));
+            callback(null, {id: 'fake_' + crypto.randomBytes(8).toString('hex'), last4: payment.card.number.slice(-4)});
+        });
+    }
+});
+
+function processorName(){
+    return process.env.PAYMENT_PROCESSOR || 'fake';
+}
+
+// The Luhn checksum every card number carries in its last digit.
+function luhn(number){
+    var sum = 0;
+    for(var i = 0; i < number.length; i++){
+        var digit = +number[number.length - 1 - i];
+        if(i % 2 === 1){
+            digit *= 2;
+            if(digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Returns an error describing what is wrong with a card, or null. Numbers
+// may have spaces or dashes.
+function checkCard(card){
+    if(!card) return paymentError(400, "Enter your card details.");
+    var number = String(card.number || "").replace(/[\s-]/g, "");
+    if(!/^\d{12,19}$/.test(number) || !luhn(number)) return paymentError(400, "That card number isn't valid.");
+    var expiry = /^(\d\d)\s*\/\s*(\d\d)$/.exec(String(card.expiry || "").trim());
+    if(!expiry || +expiry[1] < 1 || +expiry[1] > 12) return paymentError(400, "Give the expiry date as MM/YY.");
+    var now = new Date();
+    var year = 2000 + +expiry[2], month = +expiry[1];
+    if(year < now.getFullYear() || year === now.getFullYear() && month < now.getMonth() + 1){
+        return paymentError(400, "That card has expired.");
+    }
+    if(!/^\d{3,4}$/.test(String(card.cvc || ""))) return paymentError(400, "The security code is the 3 or 4 digits on the back.");
+    return null;
+}
+
+// Charges `payment` (see above) with the configured processor.
+function charge(payment, callback){
+    var processor = PROCESSORS[processorName()];
+    if(!processor) return callback(new Error("Unknown PAYMENT_PROCESSOR \"" + processorName() + "\"."));
+    var err = checkCard(payment.card);
+    if(err) return callback(err);
+    var card = {
+        number: String(payment.card.number).replace(/[\s-]/g, ""),
+        expiry: String(payment.card.expiry).replace(/\s/g, ""),
+        cvc: String(payment.card.cvc),
+        name: payment.card.name
+    };
+    processor.charge({
+        amount: payment.amount,
+        currency: payment.currency,
+        description: payment.description,
+        card: card
+    }, function(err, result){
+        if(err) return callback(err);
+        result.processor = processorName();
+        callback(null, result);
+    });
+}
+
+exports.register = register;
+exports.checkCard = checkCard;
+exports.charge = charge;
@@ -0,0 +1,217 @@
+var validator = require('./obj-validator');
+
+// Reads Stanford PLY files, ASCII or binary either way round, as written by
+// Kinect Fusion's mesh export (and MeshLab, Blender and the rest). Only the
+// "vertex" and "face" elements matter here; anything else is skipped.
+// Vertex colours come along, scaled to 0..1; normals don't, the OBJ parser
+// smooths its own.
+
+// Property types and the Buffer methods that read them.
+var TYPES = {
+    char: {read: 'readInt8', size: 1},
+    uchar: {read: 'readUInt8', size: 1},
+    short: {read: 'readInt16', size: 2},
+    ushort: {read: 'readUInt16', size: 2},
+    int: {read: 'readInt32', size: 4},
+    uint: {read: 'readUInt32', size: 4},
+    float: {read: 'readFloat', size: 4},
+    double: {read: 'readDouble', size: 8}
+};
+TYPES.int8 = TYPES.char;
+TYPES.uint8 = TYPES.uchar;
+TYPES.int16 = TYPES.short;
+TYPES.uint16 = TYPES.ushort;
+TYPES.int32 = TYPES.int;
+TYPES.uint32 = TYPES.uint;
+TYPES.float32 = TYPES.float;
+TYPES.float64 = TYPES.double;
+
+// Names exporters use for the colour channels, in order of preference.
+var COLORS = [
+    ['red', 'green', 'blue'],
+    ['r', 'g', 'b'],
+    ['diffuse_red', 'diffuse_green', 'diffuse_blue']
+];
+
+// The header is plain text however the body is stored; no real one is
+// anywhere near this long.
+var MAX_HEADER = 64 * 1024;
+
+function type(name){
+    if(!TYPES[name]) throw new Error("Unknown property type \"" + name + "\".");
+    return TYPES[name];
+}
+
+// Returns {format, elements: [{name, count, properties}], length} where
+// each property is {name, type} or {name, list: true, countType, type}
+// and length is the header's size in bytes.
+function readHeader(buffer){
+    var text = buffer.toString('binary', 0, Math.min(buffer.length, MAX_HEADER));
+    var end = /(^|\n)end_header[ \t]*\r?\n/.exec(text);
+    if(text.substring(0, 3) !== 'ply' || !end) throw new Error("This isn't a PLY file (no \"ply\" ... \"end_header\" header).");
+    var header = {format: null, elements: [], length: end.index + end[0].length};
+    var element = null;
+    text.substring(0, end.index).split(/\r?\n/).forEach(function(line){
+        var parts = line.trim().split(/\s+/);
+        switch(parts[0]){
+            case 'format':
+                if(['ascii', 'binary_little_endian', 'binary_big_endian'].indexOf(parts[1]) === -1){
+                    throw new Error("Unsupported PLY format \"" + parts[1] + "\".");
+                }
+                header.format = parts[1];
+                break;
+            case 'element':
+                var count = parseInt(parts[2], 10);
+                if(!(count >= 0)) throw new Error("Element \"" + parts[1] + "\" has no count.");
+                element = {name: parts[1], count: count, properties: []};
+                header.elements.push(element);
+                break;
+            case 'property':
+                if(!element) throw new Error("Property \"" + parts.slice(1).join(" ") + "\" comes before any element.");
+                if(parts[1] === 'list'){
+                    element.properties.push({name: parts[4], list: true, countType: type(parts[2]), type: type(parts[3])});
+                }else{
+                    element.properties.push({name: parts[2], type: type(parts[1])});
+                }
+                break;
+        }
+    });
+    if(!header.format) throw new Error("The PLY header doesn't say what format it is in.");
+    return header;
+}
+
+// Checks that every element's items could fit in what is left of the file,
+// so a header can't make us loop over billions of items that aren't there.
+// Each binary item takes at least the bytes of its properties (a list at
+// least its count); each ASCII value at least a digit and a space.
+function checkCounts(buffer, header){
+    var left = buffer.length - header.length;
+    var needed = 0;
+    header.elements.forEach(function(element){
+        if(!element.count) return;
+        if(!element.properties.length) throw new Error("Element \"" + element.name + "\" has items but no properties.");
+        var size = 0;
+        element.properties.forEach(function(property){
+            if(header.format === 'ascii') size += 2;
+            else size += property.list ? property.countType.size : property.type.size;
+        });
+        needed += element.count * size;
+    });
+    // The last ASCII value needs no space after it.
+    if(header.format === 'ascii') needed--;
+    if(needed > left) throw new Error("The PLY header promises more than the file holds.");
+}
+
+// Calls `item(element, values)` for each item of each element in turn,
+// with the values by property name (lists as arrays).
+function readASCII(buffer, header, item){
+    var tokens = buffer.toString('binary', header.length).trim().split(/\s+/);
+    var at = 0;
+    var next = function(){
+        if(at >= tokens.length) throw new Error("The file ends before all its elements do.");
+        var value = Number(tokens[at++]);
+        if(isNaN(value)) throw new Error("\"" + tokens[at - 1] + "\" isn't a number.");
+        return value;
+    };
+    header.elements.forEach(function(element){
+        for(var i = 0; i < element.count; i++){
+            var values = {};
+            element.properties.forEach(function(property){
+                if(!property.list) return values[property.name] = next();
+                var list = [];
+                for(var n = next(); n > 0; n--) list.push(next());
+                values[property.name] = list;
+            });
+            item(element, values);
+        }
+    });
+}
+
+function readBinary(buffer, header, item){
+    var suffix = header.format === 'binary_little_endian' ? 'LE' : 'BE';
+    var at = header.length;
+    var next = function(kind){
+        if(at + kind.size > buffer.length) throw new Error("The file ends before all its elements do.");
+        var value = kind.size === 1 ? buffer[kind.read](at) : buffer[kind.read + suffix](at);
+        at += kind.size;
+        return value;
+    };
+    header.elements.forEach(function(element){
+        for(var i = 0; i < element.count; i++){
+            var values = {};
+            element.properties.forEach(function(property){
+                if(!property.list) return values[property.name] = next(property.type);
+                var list = [];
+                for(var n = next(property.countType); n > 0; n--) list.push(next(property.type));
+                values[property.name] = list;
+            });
+            item(element, values);
+        }
+    });
+}
+
+// parse(buffer) returns
+// {
+//     positions: [x, y, z, ...],
+//     colors: [r, g, b, ...] or null,   // 0..1, one per vertex
+//     faces: [[a, b, c, ...], ...]      // zero based, any number of sides
+// }
+// and throws an Error saying what's wrong with anything it can't read.
+function parse(buffer){
+    var header = readHeader(buffer);
+    checkCounts(buffer, header);
+    var vertex = null, face = null;
+    header.elements.forEach(function(element){
+        if(element.name === 'vertex') vertex = element;
+        if(element.name === 'face') face = element;
+    });
+    if(!vertex) throw new Error("The PLY file has no vertices.");
+    if(vertex.count > validator.MAX_VERTICES){
+        throw new Error("Model has " + vertex.count + " vertices; the limit is " + validator.MAX_VERTICES);
+    }
+    if(face && face.count > validator.MAX_FACES){
+        throw new Error("Model has " + face.count + " faces; the limit is " + validator.MAX_FACES);
+    }
+
+    var named = function(element, name){
+        return element.properties.filter(function(property){ return property.name === name; })[0];
+    };
+    ['x', 'y', 'z'].forEach(function(name){
+        if(!named(vertex, name) || named(vertex, name).list) throw new Error("The PLY vertices have no \"" + name + "\".");
+    });
+    var channels = COLORS.filter(function(names){
+        return names.every(function(name){ return named(vertex, name); });
+    })[0] || null;
+    // Integer channels run 0..255 (or to their type's top); floats 0..1.
+    var scale = 1;
+    if(channels){
+        var kind = named(vertex, channels[0]).type;
+        if(kind !== TYPES.float && kind !== TYPES.double) scale = 1 / (Math.pow(2, kind.size * 8) - 1);
+    }
+    var indices = face && (named(face, 'vertex_indices') || named(face, 'vertex_index'));
+    if(face && (!indices || !indices.list)) throw new Error("The PLY faces have no \"vertex_indices\" list.");
+
+    var mesh = {positions: [], colors: channels ? [] : null, faces: []};
+    var item = function(element, values){
+        if(element === vertex){
+            mesh.positions.push(values.x, values.y, values.z);
+            if(channels){
+                for(var k = 0; k < 3; k++) mesh.colors.push(Math.min(Math.max(values[channels[k]] * scale, 0), 1));
+            }
+        }else if(element === face){
+            var polygon = values[indices.name];
+            for(var c = 0; c < polygon.length; c++){
+                if(polygon[c] < 0 || polygon[c] >= vertex.count || polygon[c] % 1){
+                    throw new Error("Face " + (mesh.faces.length + 1) + " refers to vertex " + polygon[c] + "; there are " + vertex.count + ".");
+                }
+            }
+            if(polygon.length >= 3) mesh.faces.push(polygon);
+        }
+    };
+    if(header.format === 'ascii') readASCII(buffer, header, item);
+    else readBinary(buffer, header, item);
+    if(!mesh.faces.length) throw new Error("The PLY file has no faces; export the scan as a mesh rather than a point cloud.");
+    return mesh;
+}
+
+exports.parse = parse;
@@ -0,0 +1,62 @@
+var zlib = require('zlib');
+
+// Just enough PNG to write the thumbnails: 8-bit RGBA, no filtering, one
+// IDAT chunk.
+
+var SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+var CRC_TABLE = (function(){
+    var table = [];
+    for(var n = 0; n < 256; n++){
+        var c = n;
+        for(var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+}());
+
+function crc32(buffer){
+    var c = 0xffffffff;
+    for(var i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data){
+    var length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    var body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    var crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body), 0);
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encodes `width` x `height` RGBA pixels (a Buffer, rows top to bottom) as
+// a PNG. Calls back with the file's bytes.
+function encode(width, height, pixels, callback){
+    var header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;      // bits per channel
+    header[9] = 6;      // RGBA
+    header[10] = 0;     // deflate
+    header[11] = 0;     // adaptive filtering (every row uses "none")
+    header[12] = 0;     // not interlaced
+
+    var stride = width * 4;
+    var raw = Buffer.alloc((stride + 1) * height);
+    for(var y = 0; y < height; y++){
+        raw[y * (stride + 1)] = 0;
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    zlib.deflate(raw, function(err, compressed){
+        if(err) return callback(err);
+        callback(null, Buffer.concat([
+            SIGNATURE,
+            chunk('IHDR', header),
+            chunk('IDAT', compressed),
+            chunk('IEND', Buffer.alloc(0))
+        ]));
+    });
+}
+
+exports.encode = encode;
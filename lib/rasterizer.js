@@ -0,0 +1,239 @@
+var glMatrix = require('../public/glmatrix');
+var mat3 = glMatrix.mat3, mat4 = glMatrix.mat4, vec3 = glMatrix.vec3;
+
+// A software renderer for thumbnails: z-buffered triangles, shaded per
+// pixel the way the viewer's fragment shader (shader-fs in
+// views/model.jade) shades them, minus textures. Slow next to WebGL but
+// fine for a few hundred pixels square.
+
+// The viewer's lighting (see drawScene() in public/obj-module.js): a
+// little ambient light and a point light just above the camera.
+var AMBIENT = [0.1, 0.1, 0.1];
+var LIGHT_POSITION = [0.0, 0.3, 55.0];
+
+// Scenes are scaled to this radius, about a head in centimeters, so the
+// light sits where it does in the viewer.
+var SCENE_RADIUS = 10;
+
+// The viewer's vertical field of view, in degrees.
+var FIELD_OF_VIEW = 45;
+
+// Rendered at this many times the size asked for and scaled down, to
+// smooth the edges.
+var SUPERSAMPLE = 2;
+
+var DEFAULT_MATERIAL = {
+    ambient: [0, 0, 0],
+    diffuse: [0.8, 0.8, 0.8],
+    specular: [0, 0, 0],
+    shininess: 0,
+    opacity: 1
+};
+
+function dot(a, b){ return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+
+function normalize(v){
+    var length = Math.sqrt(dot(v, v)) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+// The fragment shader's colour for a point at `position` (eye space) with
+// normal `normal`, and the vertex colour `tint` (or null) there.
+function shade(material, position, normal, tint){
+    var eye = normalize([-position[0], -position[1], -position[2]]);
+    var n = normalize(normal);
+    var light = normalize([
+        LIGHT_POSITION[0] - position[0],
+        LIGHT_POSITION[1] - position[1],
+        LIGHT_POSITION[2] - position[2]
+    ]);
+    var weighting = Math.max(dot(n, light), 0);
+    var color = [];
+    var specular = 0;
+    if(material.shininess > 0){
+        var d = 2 * dot(n, light);
+        var reflection = [d * n[0] - light[0], d * n[1] - light[1], d * n[2] - light[2]];
+        specular = Math.pow(Math.max(dot(reflection, eye), 0), material.shininess);
+    }
+    for(var k = 0; k < 3; k++){
+        var intensity = AMBIENT[k] + 0.2 + 0.5 * weighting;
+        var diffuse = tint ? material.diffuse[k] * tint[k] : material.diffuse[k];
+        color[k] = diffuse * intensity + material.ambient[k] * AMBIENT[k] + material.specular[k] * specular;
+    }
+    return color;
+}
+
+// Every item's vertices and normals in world space, and the bounds of the
+// lot.
+function toWorld(items){
+    var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    var world = items.map(function(item){
+        var matrix = item.matrix || mat4.create();
+        var normalMatrix = mat3.normalFromMat4(mat3.create(), matrix) || mat3.create();
+        var mesh = item.mesh;
+        var count = mesh.positions.length / 3;
+        var positions = new Float32Array(count * 3), normals = new Float32Array(count * 3);
+        var p = vec3.create(), n = vec3.create();
+        for(var i = 0; i < count; i++){
+            vec3.set(p, mesh.positions[i * 3], mesh.positions[i * 3 + 1], mesh.positions[i * 3 + 2]);
+            vec3.transformMat4(p, p, matrix);
+            vec3.set(n, mesh.normals[i * 3], mesh.normals[i * 3 + 1], mesh.normals[i * 3 + 2]);
+            vec3.transformMat3(n, n, normalMatrix);
+            for(var k = 0; k < 3; k++){
+                positions[i * 3 + k] = p[k];
+                normals[i * 3 + k] = n[k];
+                if(p[k] < min[k]) min[k] = p[k];
+                if(p[k] > max[k]) max[k] = p[k];
+            }
+        }
+        return {mesh: mesh, positions: positions, normals: normals, materials: item.materials || {}};
+    });
+    return {items: world, min: min, max: max};
+}
+
+// Renders `items` ({mesh, matrix, materials}: an OBJParser mesh, the 4x4
+// matrix that places it in the scene and its materials by name) with the
+// camera looking at the middle of them from +Z, turned `yaw` radians round
+// the vertical and tipped `pitch` radians down. Returns {width, height,
+// pixels}: RGBA rows top to bottom, transparent where nothing was drawn.
+function render(items, options){
+    var width = options.width * SUPERSAMPLE, height = options.height * SUPERSAMPLE;
+    var scene = toWorld(items);
+    var center = [0, 1, 2].map(function(k){ return (scene.min[k] + scene.max[k]) / 2; });
+    var radius = Math.sqrt([0, 1, 2].reduce(function(sum, k){
+        var half = (scene.max[k] - scene.min[k]) / 2;
+        return sum + half * half;
+    }, 0)) || 1;
+
+    // Far enough back for the bounding sphere to fill the view.
+    var fov = FIELD_OF_VIEW * Math.PI / 180;
+    var distance = SCENE_RADIUS / Math.sin(fov / 2);
+    var view = mat4.create();
+    mat4.translate(view, view, [0, 0, -distance]);
+    mat4.rotateX(view, view, options.pitch || 0);
+    mat4.rotateY(view, view, -(options.yaw || 0));
+    mat4.scale(view, view, [SCENE_RADIUS / radius, SCENE_RADIUS / radius, SCENE_RADIUS / radius]);
+    mat4.translate(view, view, [-center[0], -center[1], -center[2]]);
+    var normalView = mat3.normalFromMat4(mat3.create(), view);
+    var projection = mat4.perspective(mat4.create(), fov, width / height, 0.1, distance * 4);
+
+    var color = new Float32Array(width * height * 4);
+    var depth = new Float32Array(width * height);
+    for(var i = 0; i < depth.length; i++) depth[i] = Infinity;
+
+    var eye = vec3.create(), clip = [0, 0, 0, 0];
+    scene.items.forEach(function(item){
+        var count = item.positions.length / 3;
+        // Per vertex: eye space position and normal, screen x and y, 1/w.
+        var eyes = new Float32Array(count * 3), eyeNormals = new Float32Array(count * 3);
+        var screen = new Float32Array(count * 3);
+        var n = vec3.create();
+        for(var i = 0; i < count; i++){
+            vec3.set(eye, item.positions[i * 3], item.positions[i * 3 + 1], item.positions[i * 3 + 2]);
+            vec3.transformMat4(eye, eye, view);
+            vec3.set(n, item.normals[i * 3], item.normals[i * 3 + 1], item.normals[i * 3 + 2]);
+            vec3.transformMat3(n, n, normalView);
+            for(var k = 0; k < 3; k++){
+                eyes[i * 3 + k] = eye[k];
+                eyeNormals[i * 3 + k] = n[k];
+            }
+            var m = projection;
+            clip[0] = m[0] * eye[0] + m[4] * eye[1] + m[8] * eye[2] + m[12];
+            clip[1] = m[1] * eye[0] + m[5] * eye[1] + m[9] * eye[2] + m[13];
+            clip[3] = m[3] * eye[0] + m[7] * eye[1] + m[11] * eye[2] + m[15];
+            screen[i * 3] = (clip[0] / clip[3] + 1) / 2 * width;
+            screen[i * 3 + 1] = (1 - clip[1] / clip[3]) / 2 * height;
+            screen[i * 3 + 2] = 1 / clip[3];
+        }
+
+        var mesh = item.mesh;
+        mesh.groups.forEach(function(group){
+            var material = item.materials[group.material] || DEFAULT_MATERIAL;
+            for(var t = group.start; t < group.start + group.count; t += 3){
+                drawTriangle(mesh.indices[t], mesh.indices[t + 1], mesh.indices[t + 2], material);
+            }
+        });
+
+        function drawTriangle(a, b, c, material){
+            var w = [screen[a * 3 + 2], screen[b * 3 + 2], screen[c * 3 + 2]];
+            // Behind the camera; nothing in a thumbnail should be.
+            if(w[0] <= 0 || w[1] <= 0 || w[2] <= 0) return;
+            var ax = screen[a * 3], ay = screen[a * 3 + 1];
+            var bx = screen[b * 3], by = screen[b * 3 + 1];
+            var cx = screen[c * 3], cy = screen[c * 3 + 1];
+            var area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+            if(area === 0) return;
+            var x0 = Math.max(0, Math.floor(Math.min(ax, bx, cx))), x1 = Math.min(width - 1, Math.ceil(Math.max(ax, bx, cx)));
+            var y0 = Math.max(0, Math.floor(Math.min(ay, by, cy))), y1 = Math.min(height - 1, Math.ceil(Math.max(ay, by, cy)));
+            var vertices = [a, b, c];
+            for(var y = y0; y <= y1; y++){
+                var py = y + 0.5;
+                for(var x = x0; x <= x1; x++){
+                    var px = x + 0.5;
+                    var l0 = ((bx - px) * (cy - py) - (by - py) * (cx - px)) / area;
+                    var l1 = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) / area;
+                    var l2 = 1 - l0 - l1;
+                    if(l0 < 0 || l1 < 0 || l2 < 0) continue;
+                    // Perspective correct weights.
+                    var p0 = l0 * w[0], p1 = l1 * w[1], p2 = l2 * w[2];
+                    var sum = p0 + p1 + p2;
+                    p0 /= sum; p1 /= sum; p2 /= sum;
+                    var position = [0, 0, 0], normal = [0, 0, 0];
+                    for(var k = 0; k < 3; k++){
+                        position[k] = p0 * eyes[vertices[0] * 3 + k] + p1 * eyes[vertices[1] * 3 + k] + p2 * eyes[vertices[2] * 3 + k];
+                        normal[k] = p0 * eyeNormals[vertices[0] * 3 + k] + p1 * eyeNormals[vertices[1] * 3 + k] + p2 * eyeNormals[vertices[2] * 3 + k];
+                    }
+                    var z = -position[2];
+                    var pixel = y * width + x;
+                    if(z >= depth[pixel]) continue;
+                    depth[pixel] = z;
+                    // Lit from whichever side faces the camera, so the inside
+                    // of a hat isn't black.
+                    if(dot(normal, position) > 0) normal = [-normal[0], -normal[1], -normal[2]];
+                    var tint = null;
+                    if(mesh.colors){
+                        tint = [0, 0, 0];
+                        for(var k = 0; k < 3; k++){
+                            tint[k] = p0 * mesh.colors[vertices[0] * 3 + k] + p1 * mesh.colors[vertices[1] * 3 + k] + p2 * mesh.colors[vertices[2] * 3 + k];
+                        }
+                    }
+                    var rgb = shade(material, position, normal, tint);
+                    color[pixel * 4] = rgb[0];
+                    color[pixel * 4 + 1] = rgb[1];
+                    color[pixel * 4 + 2] = rgb[2];
+                    color[pixel * 4 + 3] = material.opacity;
+                }
+            }
+        }
+    });
+
+    return downsample(color, width, height);
+}
+
+// Averages SUPERSAMPLE x SUPERSAMPLE blocks into 8-bit RGBA, weighting
+// colours by coverage so edges fade out instead of darkening.
+function downsample(color, width, height){
+    var outWidth = width / SUPERSAMPLE, outHeight = height / SUPERSAMPLE;
+    var pixels = Buffer.alloc(outWidth * outHeight * 4);
+    for(var y = 0; y < outHeight; y++){
+        for(var x = 0; x < outWidth; x++){
+            var sum = [0, 0, 0], alpha = 0;
+            for(var dy = 0; dy < SUPERSAMPLE; dy++){
+                for(var dx = 0; dx < SUPERSAMPLE; dx++){
+                    var i = ((y * SUPERSAMPLE + dy) * width + x * SUPERSAMPLE + dx) * 4;
+                    for(var k = 0; k < 3; k++) sum[k] += color[i + k] * color[i + 3];
+                    alpha += color[i + 3];
+                }
+            }
+            var o = (y * outWidth + x) * 4;
+            for(var k = 0; k < 3; k++){
+                pixels[o + k] = alpha ? Math.min(255, Math.round(sum[k] / alpha * 255)) : 0;
+            }
+            pixels[o + 3] = Math.round(alpha / (SUPERSAMPLE * SUPERSAMPLE) * 255);
+        }
+    }
+    return {width: outWidth, height: outHeight, pixels: pixels};
+}
+
+exports.shade = shade;
+exports.render = render;
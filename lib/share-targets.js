@@ -0,0 +1,80 @@
+var http = require('http');
+
+// Where the "Post" button on a share page sends the link. The real targets
+// read the page's Open Graph and Twitter tags themselves; "stub" is for
+// working locally, where they can't reach us: it fetches the page the same
+// way and shows the card they would make (see scrape()).
+//
+// SHARE_TARGET picks one; without it production posts to Facebook and
+// everything else to the stub.
+var TARGETS = {
+    facebook: function(link){
+        return "https://www.facebook.com/sharer/sharer.php?u=" + encodeURIComponent(link);
+    },
+    twitter: function(link, text){
+        return "https://twitter.com/intent/tweet?url=" + encodeURIComponent(link) + "&text=" + encodeURIComponent(text);
+    },
+    stub: function(link){
+        return "/share-stub?u=" + encodeURIComponent(link);
+    }
+};
+
+var NAME = process.env.SHARE_TARGET || (process.env.NODE_ENV === 'production' ? 'facebook' : 'stub');
+
+if(!TARGETS[NAME]) throw new Error("Unknown SHARE_TARGET \"" + NAME + "\"; use one of " + Object.keys(TARGETS).join(", ") + ".");
+
+// The URL that posts `link` (with `text`, where the target takes any) to
+// the configured target.
+function postURL(link, text){
+    return TARGETS[NAME](link, text);
+}
+
+// Pages bigger than this aren't share pages.
+var MAX_PAGE = 1024 * 1024;
+
+var META = /<meta\s+(?:property|name)="((?:og|twitter):[^"]+)"\s+content="([^"]*)"/g;
+
+function unescape(text){
+    return text.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Fetches `link` (a URL, or options for http.get) the way a share target's
+// crawler would and calls back with its og: and twitter: tags by name.
+function scrape(link, callback){
+    var finished = false;
+    var done = function(err, tags){
+        if(finished) return;
+        finished = true;
+        callback(err, tags);
+    };
+    var request = http.get(link, function(res){
+        if(res.statusCode !== 200){
+            res.resume();
+            var err = new Error("Couldn't read the page: it answered " + res.statusCode + ". Is the link public?");
+            err.status = 422;
+            return done(err);
+        }
+        var body = "";
+        res.setEncoding('utf8');
+        res.on('data', function(chunk){
+            body += chunk;
+            if(body.length > MAX_PAGE){
+                request.abort();
+                var err = new Error("That is too big to be a share page.");
+                err.status = 422;
+                done(err);
+            }
+        });
+        res.on('end', function(){
+            var tags = {}, match;
+            META.lastIndex = 0;
+            while((match = META.exec(body))) tags[match[1]] = unescape(match[2]);
+            done(null, tags);
+        });
+    });
+    request.on('error', done);
+}
+
+exports.NAME = NAME;
+exports.postURL = postURL;
+exports.scrape = scrape;
@@ -0,0 +1,53 @@
+var Store = require('./store');
+
+// Share links for looks (lib/looks.js). A share keeps its own copy of the
+// look, so the link shows what was shared even if the look changes or
+// goes. Each entry looks like:
+// {
+//     _id: "b71e04d9a3c5f28e",      // the token in /shares/<id>
+//     owner: "5d0b7e21c4a9f386",
+//     look: "e4c1a09b7f3d2658",
+//     public: false,                // nobody but the owner sees it until
+//                                   // they opt in
+//     name, head, accessories, camera, lighting,   // copied from the look
+//     created: "2013-11-09T20:14:05.000Z"
+// }
+var shares = new Store('shares');
+
+var COPIED = ['name', 'head', 'accessories', 'camera', 'lighting'];
+
+exports.get = function(id){
+    return shares.get(id);
+};
+
+exports.forLook = function(look){
+    return shares.find(function(share){ return share.look === look; });
+};
+
+exports.create = function(look, isPublic, callback){
+    var share = {
+        owner: look.owner,
+        look: look._id,
+        public: isPublic === true,
+        created: new Date().toISOString()
+    };
+    COPIED.forEach(function(key){ share[key] = look[key]; });
+    shares.insert(share, callback);
+};
+
+exports.setPublic = function(id, isPublic, callback){
+    shares.update(id, {public: isPublic === true}, callback);
+};
+
+// Drops every share of a head, when the head itself goes.
+exports.removeHead = function(head, callback){
+    var remaining = shares.find(function(share){ return share.head === head; });
+    var next = function(i){
+        if(i === remaining.length) return callback(null, remaining);
+        shares.remove(remaining[i]._id, function(err){
+            if(err) return callback(err);
+            next(i + 1);
+        });
+    };
+    next(0);
+};
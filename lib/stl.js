@@ -0,0 +1,96 @@
+var validator = require('./obj-validator');
+
+// Reads STL files, ASCII or binary. STL is a bag of separate triangles, so
+// corners at the same point are welded into one vertex again; otherwise
+// every triangle would be lit flat and nothing could be simplified. The
+// facet normals are dropped for the OBJ parser to smooth its own.
+
+// Binary: an 80 byte header, a u32 triangle count, then 50 bytes per
+// triangle (normal, three corners, a u16 attribute), little endian.
+var HEADER = 84;
+var TRIANGLE = 50;
+
+function isBinary(buffer){
+    if(buffer.length < HEADER) return false;
+    // Some binary exporters start their header with "solid" too, so the
+    // size has the last word.
+    var count = buffer.readUInt32LE(80);
+    if(HEADER + count * TRIANGLE === buffer.length) return true;
+    return !/^\s*solid/.test(buffer.toString('binary', 0, 80));
+}
+
+// Welds corners into `mesh` by exact position.
+function welder(mesh){
+    var ids = Object.create(null);
+    return function(x, y, z){
+        var key = x + ' ' + y + ' ' + z;
+        if(ids[key] === undefined){
+            ids[key] = mesh.positions.length / 3;
+            mesh.positions.push(x, y, z);
+        }
+        return ids[key];
+    };
+}
+
+function readBinary(buffer, mesh){
+    var count = buffer.readUInt32LE(80);
+    if(count > validator.MAX_FACES) throw new Error("Model has " + count + " faces; the limit is " + validator.MAX_FACES);
+    if(HEADER + count * TRIANGLE > buffer.length){
+        throw new Error("The STL file says it has " + count + " triangles but ends after " + Math.floor((buffer.length - HEADER) / TRIANGLE) + ".");
+    }
+    var weld = welder(mesh);
+    for(var t = 0; t < count; t++){
+        var at = HEADER + t * TRIANGLE + 12;
+        var face = [];
+        for(var k = 0; k < 3; k++, at += 12){
+            face.push(weld(buffer.readFloatLE(at), buffer.readFloatLE(at + 4), buffer.readFloatLE(at + 8)));
+        }
+        mesh.faces.push(face);
+    }
+}
+
+function readASCII(buffer, mesh){
+    var lines = buffer.toString('binary').split(/\r?\n/);
+    var weld = welder(mesh);
+    var face = null;
+    for(var i = 0; i < lines.length; i++){
+        var parts = lines[i].trim().split(/\s+/);
+        switch(parts[0]){
+            case 'outer':
+                face = [];
+                break;
+            case 'vertex':
+                var point = parts.slice(1, 4).map(Number);
+                if(!face || point.length < 3 || point.some(isNaN)){
+                    throw new Error("Line " + (i + 1) + ": expected \"vertex x y z\" inside a loop, got \"" + lines[i].trim() + "\".");
+                }
+                face.push(weld(point[0], point[1], point[2]));
+                break;
+            case 'endloop':
+                if(face && face.length >= 3) mesh.faces.push(face);
+                if(mesh.faces.length > validator.MAX_FACES) throw new Error("Model has more than the limit of " + validator.MAX_FACES + " faces");
+                face = null;
+                break;
+        }
+    }
+}
+
+// parse(buffer) returns {positions: [x, y, z, ...], colors: null, faces:
+// [[a, b, c], ...]}, the same shape as lib/ply.js, and throws an Error
+// saying what's wrong with anything it can't read.
+function parse(buffer){
+    var mesh = {positions: [], colors: null, faces: []};
+    if(isBinary(buffer)) readBinary(buffer, mesh);
+    else readASCII(buffer, mesh);
+    // Corners welded onto each other leave nothing to draw.
+    mesh.faces = mesh.faces.filter(function(face){
+        return face[0] !== face[1] && face[1] !== face[2] && face[2] !== face[0];
+    });
+    if(!mesh.faces.length) throw new Error("The STL file has no triangles.");
+    if(mesh.positions.length / 3 > validator.MAX_VERTICES){
+        throw new Error("Model has " + mesh.positions.length / 3 + " vertices; the limit is " + validator.MAX_VERTICES);
+    }
+    return mesh;
+}
+
+exports.parse = parse;
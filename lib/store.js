@@ -0,0 +1,112 @@
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+// Everything we persist lives in one JSON file per collection under data/,
+// or under DATA_DIR if that is set (the tests keep theirs apart that way).
+var DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function Store(name, dir){
+    this.dir = dir || DATA_DIR;
+    this.file = path.join(this.dir, name + '.json');
+    this.docs = [];
+    this.saving = false;
+    this.queued = [];
+    this.load();
+}
+
+Store.newId = function(){
+    return crypto.randomBytes(8).toString('hex');
+};
+
+Store.prototype.load = function(){
+    if(!fs.existsSync(this.file)){
+        this.docs = [];
+        return;
+    }
+    var text = fs.readFileSync(this.file, 'utf8');
+    this.docs = text.length ? JSON.parse(text) : [];
+};
+
+Store.prototype.all = function(){
+    return this.docs.slice();
+};
+
+Store.prototype.get = function(id){
+    for(var i = 0; i < this.docs.length; i++){
+        if(this.docs[i]._id === id) return this.docs[i];
+    }
+    return null;
+};
+
+Store.prototype.find = function(predicate){
+    return this.docs.filter(predicate);
+};
+
+Store.prototype.insert = function(doc, callback){
+    if(!doc._id) doc._id = Store.newId();
+    if(this.get(doc._id)){
+        return callback(new Error("Duplicate id " + doc._id));
+    }
+    this.docs.push(doc);
+    this.save(function(err){
+        callback(err, doc);
+    });
+};
+
+Store.prototype.update = function(id, fields, callback){
+    var doc = this.get(id);
+    if(!doc){
+        return callback(null, null);
+    }
+    for(var key in fields){
+        if(key !== '_id') doc[key] = fields[key];
+    }
+    this.save(function(err){
+        callback(err, doc);
+    });
+};
+
+Store.prototype.remove = function(id, callback){
+    var doc = this.get(id);
+    if(!doc){
+        return callback(null, null);
+    }
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    this.save(function(err){
+        callback(err, doc);
+    });
+};
+
+// Writes go to a temp file that is renamed over the real one, so a crash
+// mid-write never leaves a half written catalog. Saves requested while one
+// is in flight are coalesced into a single follow-up write.
+Store.prototype.save = function(callback){
+    var self = this;
+    self.queued.push(callback);
+    if(self.saving) return;
+    self.saving = true;
+
+    var callbacks = self.queued;
+    self.queued = [];
+    var tmp = self.file + '.tmp';
+    var done = function(err){
+        self.saving = false;
+        callbacks.forEach(function(cb){ cb(err); });
+        if(self.queued.length){
+            self.save(self.queued.pop());
+        }
+    };
+
+    fs.mkdir(self.dir, function(err){
+        if(err && err.code !== 'EEXIST') return done(err);
+        fs.writeFile(tmp, JSON.stringify(self.docs, null, 2), function(err){
+            if(err) return done(err);
+            fs.rename(tmp, self.file, done);
+        });
+    });
+};
+
+Store.DATA_DIR = DATA_DIR;
+
+module.exports = Store;
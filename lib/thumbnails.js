@@ -0,0 +1,220 @@
+var fs = require('fs');
+var path = require('path');
+var glMatrix = require('../public/glmatrix');
+var Anchors = require('../public/anchors');
+var OBJParser = require('../public/obj-parser');
+var rasterizer = require('./rasterizer');
+var png = require('./png');
+var upload = require('./upload');
+var modelFiles = require('./model-files');
+var fits = require('./fits');
+var lods = require('./lods');
+var mat4 = glMatrix.mat4;
+
+// PNG previews of heads, accessories and heads wearing accessories, drawn
+// by lib/rasterizer.js and kept in public/thumbs/<model>/<view>.png:
+//     front.png            straight on
+//     three-quarter.png    turned and looking down a little
+//     with-<accessory>.png the head in three-quarter view wearing the
+//                          accessory, placed by its saved fit
+// Each is drawn once, the first time it is asked for, and served
+// statically after that.
+var THUMB_DIR = path.join(__dirname, '..', 'public', 'thumbs');
+
+var SIZE = 200;
+
+var VIEWS = {
+    'front': {yaw: 0, pitch: 0.1},
+    'three-quarter': {yaw: Math.PI / 4, pitch: 0.25}
+};
+
+var NAME = /^[\w-][\w.-]*$/;
+var COMPOSITE = /^with-([\w-][\w.-]*)$/;
+
+// Whether `view` is one of VIEWS or a composite.
+function isView(view){
+    return VIEWS.hasOwnProperty(view) || COMPOSITE.test(view);
+}
+
+function url(model, view){
+    return '/thumbs/' + model + '/' + view + '.png';
+}
+
+// A matrix that turns a model the way its anchors say to face +Z with +Y
+// up, as the viewer does.
+function facing(meta){
+    var m = Anchors.rotationBetween(meta || {}, {});
+    var out = mat4.create();
+    for(var r = 0; r < 3; r++){
+        for(var c = 0; c < 3; c++) out[c * 4 + r] = m[r][c];
+    }
+    return out;
+}
+
+// The transform SceneNode gives an accessory placed by `placement`,
+// including its meshOffset.
+function placementMatrix(placement){
+    var m = mat4.create();
+    mat4.translate(m, m, placement.position);
+    mat4.rotateY(m, m, placement.rotation[1]);
+    mat4.rotateX(m, m, placement.rotation[0]);
+    mat4.rotateZ(m, m, placement.rotation[2]);
+    mat4.scale(m, m, [placement.scale, placement.scale, placement.scale]);
+    mat4.translate(m, m, placement.offset);
+    return m;
+}
+
+// The model's materials by name, from <name>.mtl if there is one.
+function readMaterials(name, callback){
+    fs.readFile(path.join(upload.MODEL_DIR, name + '.mtl'), 'utf8', function(err, text){
+        callback(err ? {} : OBJParser.parseMTL(text));
+    });
+}
+
+// Reads the model at the level of detail a picture `pixels` across needs.
+function readItem(name, pixels, callback){
+    modelFiles.readLevel(name, lods.pick(name, pixels).file, function(err, model){
+        if(err) return callback(err);
+        readMaterials(name, function(materials){
+            callback(null, {mesh: model.mesh, materials: materials, anchors: model.anchors});
+        });
+    });
+}
+
+// What goes in the picture for `view` of `model`: one item, or the head
+// and the accessory for a composite.
+function sceneFor(model, view, callback){
+    var composite = COMPOSITE.exec(view);
+    readItem(model, SIZE, function(err, head){
+        if(err) return callback(err);
+        head.matrix = facing(head.anchors);
+        if(!composite) return callback(null, [head], VIEWS[view]);
+        var fit = fits.get(model, composite[1]);
+        if(!fit){
+            err = new Error("No fit for \"" + composite[1] + "\" on this head.");
+            err.status = 404;
+            return callback(err);
+        }
+        readItem(composite[1], SIZE, function(err, accessory){
+            if(err) return callback(err);
+            accessory.matrix = mat4.multiply(mat4.create(), head.matrix, placementMatrix(fit));
+            callback(null, [head, accessory], VIEWS['three-quarter']);
+        });
+    });
+}
+
+// Draws `items` into the PNG `file`, making its directory if need be.
+function draw(items, options, file, callback){
+    var image = rasterizer.render(items, options);
+    png.encode(image.width, image.height, image.pixels, function(err, data){
+        if(err) return callback(err);
+        fs.mkdir(path.dirname(path.dirname(file)), function(){
+            fs.mkdir(path.dirname(file), function(){
+                fs.writeFile(file, data, function(err){
+                    callback(err, file);
+                });
+            });
+        });
+    });
+}
+
+// Calls back with the path of the thumbnail, drawing it first if need be.
+// Both names come from the URL, so they are checked before they go
+// anywhere near a path.
+function ensure(model, view, callback){
+    if(!NAME.test(model)){
+        var err = new Error("No model called \"" + model + "\".");
+        err.status = 404;
+        return callback(err);
+    }
+    if(!isView(view)){
+        var err = new Error("No thumbnail view called \"" + view + "\".");
+        err.status = 404;
+        return callback(err);
+    }
+    var file = path.join(THUMB_DIR, model, view + '.png');
+    fs.exists(file, function(exists){
+        if(exists) return callback(null, file);
+        sceneFor(model, view, function(err, items, camera){
+            if(err) return callback(err);
+            draw(items, {width: SIZE, height: SIZE, yaw: camera.yaw, pitch: camera.pitch}, file, callback);
+        });
+    });
+}
+
+// Draws a look (see lib/looks.js) as the viewer would show it, turned by
+// its camera, into the PNG `file` unless it is there already. `options`
+// gives the width and height.
+function ensureLook(look, file, options, callback){
+    fs.exists(file, function(exists){
+        if(exists) return callback(null, file);
+        var pixels = Math.max(options.width, options.height);
+        readItem(look.head, pixels, function(err, head){
+            if(err) return callback(err);
+            // The viewer turns everything by yoff about X, then xoff about Y.
+            var camera = mat4.create();
+            mat4.rotateY(camera, camera, look.camera.xoff);
+            mat4.rotateX(camera, camera, look.camera.yoff);
+            head.matrix = mat4.multiply(mat4.create(), camera, facing(head.anchors));
+            var items = [head];
+            var next = function(i){
+                if(i === look.accessories.length){
+                    return draw(items, {width: options.width, height: options.height}, file, callback);
+                }
+                var placement = look.accessories[i];
+                readItem(placement.accessory, pixels, function(err, accessory){
+                    if(err) return callback(err);
+                    accessory.matrix = mat4.multiply(mat4.create(), head.matrix, placementMatrix(placement));
+                    items.push(accessory);
+                    next(i + 1);
+                });
+            };
+            next(0);
+        });
+    });
+}
+
+// Draws every thumbnail a new head needs: both views and one wearing each
+// accessory that has a fit on it.
+function forHead(head, callback){
+    var views = Object.keys(VIEWS).concat(fits.forHead(head).map(function(fit){
+        return 'with-' + fit.accessory;
+    }));
+    var next = function(i){
+        if(i === views.length) return callback(null);
+        ensure(head, views[i], function(err){
+            if(err) return callback(err);
+            next(i + 1);
+        });
+    };
+    next(0);
+}
+
+// Throws away the thumbnail for `view` of `model`, or all of the model's
+// when no view is given, so they are drawn again next time.
+function discard(model, view, callback){
+    var dir = path.join(THUMB_DIR, model);
+    if(!NAME.test(model)) return callback();
+    fs.readdir(dir, function(err, files){
+        if(err) return callback();
+        if(view) files = files.filter(function(file){ return file === view + '.png'; });
+        var remaining = files.length;
+        var done = function(){
+            if(view) return callback();
+            fs.rmdir(dir, function(){ callback(); });
+        };
+        if(!remaining) return done();
+        files.forEach(function(file){
+            fs.unlink(path.join(dir, file), function(){
+                if(--remaining === 0) done();
+            });
+        });
+    });
+}
+
+exports.THUMB_DIR = THUMB_DIR;
+exports.url = url;
+exports.ensure = ensure;
+exports.ensureLook = ensureLook;
+exports.forHead = forHead;
+exports.discard = discard;
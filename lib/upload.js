@@ -0,0 +1,240 @@
+var fs = require('fs');
+var path = require('path');
+var validator = require('./obj-validator');
+var normalize = require('./normalize');
+var Anchors = require('../public/anchors');
+var importers = require('./importers');
+
+var MODEL_DIR = path.join(__dirname, '..', 'public', 'models');
+
+// Model names and the names of their files: no slashes and no leading dot,
+// so nothing built from one can leave public/models/.
+var NAME = /^[\w-][\w.-]*$/;
+var MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+var EXTENSIONS = {
+    model: ['.obj'].concat(importers.EXTENSIONS),
+    material: ['.mtl'],
+    texture: ['.png', '.jpg', '.jpeg'],
+    metadata: ['.json']
+};
+
+function uploadError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// bodyParser hands us an empty file object when a file input was left blank.
+function present(file){
+    return file && file.size > 0;
+}
+
+function cleanup(files){
+    for(var field in files){
+        if(files[field] && files[field].path){
+            fs.unlink(files[field].path, function(){});
+        }
+    }
+}
+
+function check(files){
+    if(!files || !present(files.model)){
+        return uploadError(400, "No model file was uploaded. Attach an .obj, .ply or .stl file in the \"model\" field.");
+    }
+    for(var field in EXTENSIONS){
+        var file = files[field];
+        if(!present(file)) continue;
+        var ext = path.extname(file.name).toLowerCase();
+        if(EXTENSIONS[field].indexOf(ext) === -1){
+            return uploadError(415, "\"" + file.name + "\" is not a valid " + field + " file; expected " + EXTENSIONS[field].join(", ") + ".");
+        }
+        if(file.size > MAX_UPLOAD_BYTES){
+            return uploadError(413, "\"" + file.name + "\" is larger than the " + (MAX_UPLOAD_BYTES / 1024 / 1024) + "MB upload limit.");
+        }
+    }
+    return null;
+}
+
+// rename() fails across devices (tmp is often its own mount), so fall back
+// to copying the file over and removing the original.
+function move(from, to, callback){
+    fs.rename(from, to, function(err){
+        if(!err || err.code !== 'EXDEV') return callback(err);
+        var input = fs.createReadStream(from);
+        var output = fs.createWriteStream(to);
+        input.on('error', callback);
+        output.on('error', callback);
+        output.on('close', function(){
+            fs.unlink(from, callback);
+        });
+        input.pipe(output);
+    });
+}
+
+// Point the OBJ at its renamed MTL and the MTL at its renamed texture, so the
+// browser can resolve them relative to /models/. A file with no line for
+// `pattern` to match gets `missing` at the top instead, if there is one.
+function relink(file, pattern, name, missing, callback){
+    fs.readFile(file, 'utf8', function(err, text){
+        if(err) return callback(err);
+        if(missing && !pattern.test(text)) text = missing + '\n' + text;
+        else text = text.replace(pattern, '$1' + name);
+        fs.writeFile(file, text, callback);
+    });
+}
+
+// Runs the stored OBJ through the validator and replaces it with the
+// sanitized copy. An invalid model comes back as a 422 carrying the report.
+function inspect(file, callback){
+    fs.readFile(file, 'utf8', function(err, text){
+        if(err) return callback(err);
+        var report = validator.validate(text);
+        if(!report.valid){
+            var err = uploadError(422, "The uploaded model has " + report.problems.length + (report.truncated ? "+" : "") + " problem(s).");
+            err.report = report;
+            return callback(err);
+        }
+        fs.writeFile(file, report.sanitized, function(err){
+            callback(err, report.stats);
+        });
+    });
+}
+
+// Reads an uploaded anchor sidecar. Bad JSON or a sidecar that doesn't
+// describe a head comes back as a 422 with a report like the validator's.
+function readAnchors(file, callback){
+    fs.readFile(file.path, 'utf8', function(err, text){
+        if(err) return callback(err);
+        var meta, problems;
+        try{
+            meta = JSON.parse(text);
+            problems = Anchors.validate(meta);
+            if(!problems.length && meta.kind !== 'head') problems.push("Uploaded models are heads; \"kind\" must be \"head\"");
+        }catch(e){
+            problems = ["Not valid JSON: " + e.message];
+        }
+        if(problems.length){
+            var err = uploadError(422, "The uploaded metadata has " + problems.length + " problem(s).");
+            err.report = {problems: problems.map(function(reason){ return {line: null, reason: reason}; })};
+            return callback(err);
+        }
+        callback(null, meta);
+    });
+}
+
+// Moves an uploaded model (and its optional material and texture) into
+// public/models/ under the given id, converting PLY and STL to OBJ,
+// validates it and centers it on the origin. Its anchors go alongside as
+// <id>.json: the uploaded sidecar moved along with the model, or landmarks
+// estimated from its bounds. Calls back with the stored file names and the
+// mesh statistics the catalog keeps.
+function store(id, files, callback){
+    var err = check(files);
+    if(err){
+        cleanup(files);
+        return callback(err);
+    }
+
+    var stored = {obj: id + '.obj'};
+    var anchors = null;
+    var steps = [];
+    if(present(files.metadata)){
+        steps.push(function(next){
+            readAnchors(files.metadata, function(err, meta){
+                fs.unlink(files.metadata.path, function(){});
+                anchors = meta;
+                next(err);
+            });
+        });
+    }
+    // PLY and STL scans are stored as the OBJ they convert to.
+    var format = path.extname(files.model.name).toLowerCase();
+    steps.push(function(next){
+        if(!importers.supports(format)) return move(files.model.path, path.join(MODEL_DIR, stored.obj), next);
+        importers.convertFile(files.model.path, format, path.join(MODEL_DIR, stored.obj), function(err){
+            fs.unlink(files.model.path, function(){});
+            next(err);
+        });
+    });
+    if(present(files.material)){
+        stored.mtl = id + '.mtl';
+        steps.push(function(next){
+            move(files.material.path, path.join(MODEL_DIR, stored.mtl), next);
+        });
+        steps.push(function(next){
+            relink(path.join(MODEL_DIR, stored.obj), /^(mtllib\s+).*$/m, stored.mtl, 'mtllib ' + stored.mtl, next);
+        });
+    }
+    if(present(files.texture)){
+        stored.texture = id + path.extname(files.texture.name).toLowerCase();
+        steps.push(function(next){
+            move(files.texture.path, path.join(MODEL_DIR, stored.texture), next);
+        });
+        if(stored.mtl){
+            steps.push(function(next){
+                relink(path.join(MODEL_DIR, stored.mtl), /^(map_Kd\s+).*$/mg, stored.texture, null, next);
+            });
+        }
+    }
+
+    var run = function(i){
+        if(i === steps.length){
+            return inspect(path.join(MODEL_DIR, stored.obj), function(err, stats){
+                if(err){
+                    discard(stored, function(){});
+                    return callback(err);
+                }
+                // Center every upload once here instead of in each viewer.
+                normalize.normalizeFile(path.join(MODEL_DIR, stored.obj), null, {center: 'mean'}, function(err, result){
+                    if(err){
+                        discard(stored, function(){});
+                        return callback(err);
+                    }
+                    stats.bbox = result.bbox;
+                    stats.center = result.center;
+                    anchors = anchors ? Anchors.shift(anchors, result.center.map(function(c){ return -c; })) : Anchors.estimateHead(result);
+                    stored.anchors = id + '.json';
+                    fs.writeFile(path.join(MODEL_DIR, stored.anchors), JSON.stringify(anchors, null, 4), function(err){
+                        if(err){
+                            discard(stored, function(){});
+                            return callback(err);
+                        }
+                        stats.files = stored;
+                        callback(null, stats);
+                    });
+                });
+            });
+        }
+        steps[i](function(err){
+            if(err){
+                cleanup(files);
+                discard(stored, function(){});
+                return callback(err);
+            }
+            run(i + 1);
+        });
+    };
+    fs.mkdir(MODEL_DIR, function(err){
+        if(err && err.code !== 'EEXIST') return callback(err);
+        run(0);
+    });
+}
+
+function discard(stored, callback){
+    var names = [];
+    for(var key in stored) names.push(stored[key]);
+    var remaining = names.length;
+    if(!remaining) return callback();
+    names.forEach(function(name){
+        fs.unlink(path.join(MODEL_DIR, name), function(){
+            if(--remaining === 0) callback();
+        });
+    });
+}
+
+exports.MODEL_DIR = MODEL_DIR;
+exports.NAME = NAME;
+exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+exports.store = store;
+exports.discard = discard;
@@ -0,0 +1,89 @@
+var crypto = require('crypto');
+var Store = require('./store');
+
+// Customer accounts. Each entry looks like:
+// {
+//     _id: "5d0b7e21c4a9f386",
+//     username: "pratik",
+//     salt: "<hex>",
+//     hash: "<hex>",                // PBKDF2 of the password with the salt
+//     iterations: 10000,
+//     created: "2013-10-27T15:40:02.000Z"
+// }
+// Passwords themselves are never stored.
+var users = new Store('users');
+
+var ITERATIONS = 10000;
+var KEY_BYTES = 32;
+var DIGEST = 'sha256';
+
+var USERNAME = /^[\w.-]{3,32}$/;
+var MIN_PASSWORD = 8;
+
+function userError(status, message){
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function hashPassword(password, salt, iterations, callback){
+    crypto.pbkdf2(password, salt, iterations, KEY_BYTES, DIGEST, function(err, key){
+        callback(err, key && key.toString('hex'));
+    });
+}
+
+// Compares without stopping at the first difference, so the time taken
+// says nothing about how much of a guess was right.
+function sameHash(a, b){
+    if(a.length !== b.length) return false;
+    var difference = 0;
+    for(var i = 0; i < a.length; i++) difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return difference === 0;
+}
+
+function byName(username){
+    var lower = String(username).toLowerCase();
+    return users.find(function(user){ return user.username.toLowerCase() === lower; })[0] || null;
+}
+
+exports.get = function(id){
+    return users.get(id);
+};
+
+// Creates an account. Calls back with the new user, or a 400 for a bad
+// username or password and a 409 if the username is taken.
+exports.register = function(username, password, callback){
+    if(!USERNAME.test(username || '')){
+        return callback(userError(400, "Usernames are 3 to 32 letters, digits, dots, dashes or underscores."));
+    }
+    if(typeof password !== 'string' || password.length < MIN_PASSWORD){
+        return callback(userError(400, "Passwords need at least " + MIN_PASSWORD + " characters."));
+    }
+    if(byName(username)) return callback(userError(409, "\"" + username + "\" is taken."));
+    var salt = crypto.randomBytes(16).toString('hex');
+    hashPassword(password, salt, ITERATIONS, function(err, hash){
+        if(err) return callback(err);
+        // Someone else may have taken it while we were hashing.
+        if(byName(username)) return callback(userError(409, "\"" + username + "\" is taken."));
+        users.insert({
+            username: username,
+            salt: salt,
+            hash: hash,
+            iterations: ITERATIONS,
+            created: new Date().toISOString()
+        }, callback);
+    });
+};
+
+// Calls back with the user if the password is theirs, or a 401 that
+// doesn't say which of the two was wrong.
+exports.authenticate = function(username, password, callback){
+    var user = byName(username || '');
+    var wrong = userError(401, "Wrong username or password.");
+    if(!user || typeof password !== 'string') return callback(wrong);
+    hashPassword(password, user.salt, user.iterations, function(err, hash){
+        if(err) return callback(err);
+        if(!sameHash(hash, user.hash)) return callback(wrong);
+        callback(null, user);
+    });
+};
@@ -0,0 +1,68 @@
+var child_process = require('child_process');
+
+// Runs the slow work on a model (fitting, measuring, simplifying, drawing)
+// in a child process of its own, so a big scan doesn't stop the server
+// answering everyone else while it is worked on.
+//
+// The work is `require('./<module>')[method](args..., callback)`, and its
+// arguments and results go through JSON. It may write files but must only
+// read the stores: the child loads them from disk when it starts and is
+// gone when it is done, so anything it saved would be lost, or worse,
+// written over what the server saved meanwhile. The server saves what
+// comes back instead.
+
+function toError(problem){
+    var err = new Error(problem.message);
+    if(problem.status) err.status = problem.status;
+    return err;
+}
+
+// Calls back with what module.method called back with in the child.
+function run(module, method, args, callback){
+    var child = child_process.fork(__filename);
+    var answered = false;
+    var answer = function(err, result){
+        if(answered) return;
+        answered = true;
+        callback(err, result);
+    };
+    child.on('message', function(message){
+        answer(message.error ? toError(message.error) : null, message.result);
+    });
+    child.on('error', answer);
+    // Not 'exit': that can come before the child's last message is read,
+    // 'close' comes after the channel it is sent on is shut.
+    child.on('close', function(code, signal){
+        answer(new Error("The worker for " + module + "." + method + " stopped (" + (signal || code) + ") before it was done."));
+    });
+    child.send({module: module, method: method, args: args});
+}
+
+// A function taking the same arguments as module.method that runs it with
+// run().
+function inWorker(module, method){
+    return function(){
+        var args = Array.prototype.slice.call(arguments, 0, -1);
+        run(module, method, args, arguments[arguments.length - 1]);
+    };
+}
+
+// The child's side: one job, then exit.
+if(require.main === module){
+    process.once('message', function(job){
+        var reply = function(err, result){
+            var message = err ? {error: {message: err.message, status: err.status}} : {result: result};
+            process.send(message, function(){
+                process.exit(0);
+            });
+        };
+        try{
+            require('./' + job.module)[job.method].apply(null, job.args.concat(reply));
+        }catch(e){
+            reply(e);
+        }
+    });
+}
+
+exports.run = run;
+exports.inWorker = inWorker;
@@ -0,0 +1,193 @@
+// Anchor point metadata for heads and accessories, and the math that snaps
+// an accessory onto a head with it. The format is documented in README.md
+// under "Model metadata". Shared by the viewer and the server like
+// obj-parser.js: a <script> exposes window.Anchors, require() returns it.
+(function(root, factory){
+    if(typeof module === 'object' && module.exports){
+        module.exports = factory();
+    }else{
+        root.Anchors = factory();
+    }
+}(this, function(){
+
+    // Centimeters per unit.
+    var UNITS = {m: 100, cm: 1, mm: 0.1, in: 2.54};
+
+    var LANDMARKS = ['crown', 'noseBridge', 'leftEar', 'rightEar'];
+
+    function isPoint(value){
+        return value instanceof Array && value.length === 3 && value.every(function(v){
+            return typeof v === 'number' && isFinite(v);
+        });
+    }
+
+    // Returns a list of problems with `meta`; empty when it is usable.
+    function validate(meta){
+        var problems = [];
+        if(!meta || typeof meta !== 'object') return ["Metadata must be a JSON object"];
+        if(meta.kind !== 'head' && meta.kind !== 'accessory'){
+            problems.push("\"kind\" must be \"head\" or \"accessory\"");
+        }
+        if(meta.units !== undefined && !UNITS[meta.units]){
+            problems.push("\"units\" must be one of " + Object.keys(UNITS).join(", "));
+        }
+        ['up', 'forward'].forEach(function(key){
+            if(meta[key] !== undefined && !isPoint(meta[key])) problems.push("\"" + key + "\" must be an [x, y, z] vector");
+        });
+        if(meta.kind === 'head'){
+            var landmarks = meta.landmarks || {};
+            for(var name in landmarks){
+                if(LANDMARKS.indexOf(name) === -1) problems.push("Unknown landmark \"" + name + "\"");
+                else if(!isPoint(landmarks[name])) problems.push("Landmark \"" + name + "\" must be an [x, y, z] point");
+            }
+        }
+        if(meta.kind === 'accessory'){
+            var anchor = meta.anchor;
+            if(!anchor || LANDMARKS.indexOf(anchor.landmark) === -1){
+                problems.push("\"anchor.landmark\" must be one of " + LANDMARKS.join(", "));
+            }
+            if(!anchor || !isPoint(anchor.point)){
+                problems.push("\"anchor.point\" must be an [x, y, z] point");
+            }
+            var size = meta.size;
+            if(size !== undefined){
+                if(LANDMARKS.indexOf(size.from) === -1 || LANDMARKS.indexOf(size.to) === -1){
+                    problems.push("\"size.from\" and \"size.to\" must be landmarks");
+                }
+                if(!(size.length > 0)) problems.push("\"size.length\" must be a positive number");
+            }
+        }
+        return problems;
+    }
+
+    // Landmarks for a head that came without a sidecar, guessed from its
+    // bounding box assuming the usual +Y up, +Z facing scan. Marked
+    // `estimated` so measurements know to trust the geometry over them.
+    function estimateHead(mesh){
+        var min = mesh.bbox.min, max = mesh.bbox.max;
+        var cx = (min[0] + max[0]) / 2, cy = (min[1] + max[1]) / 2, cz = (min[2] + max[2]) / 2;
+        var height = max[1] - min[1];
+        return {
+            kind: 'head',
+            estimated: true,
+            units: 'cm',
+            up: [0, 1, 0],
+            forward: [0, 0, 1],
+            landmarks: {
+                crown: [cx, max[1], cz],
+                noseBridge: [cx, cy + height * 0.15, max[2]],
+                leftEar: [max[0], cy, cz],
+                rightEar: [min[0], cy, cz]
+            }
+        };
+    }
+
+    // Moves every point in `meta` by `offset`, for when the model it
+    // describes has been recentered.
+    function shift(meta, offset){
+        var move = function(p){
+            return [p[0] + offset[0], p[1] + offset[1], p[2] + offset[2]];
+        };
+        if(meta.landmarks){
+            for(var name in meta.landmarks) meta.landmarks[name] = move(meta.landmarks[name]);
+        }
+        if(meta.anchor && meta.anchor.point) meta.anchor.point = move(meta.anchor.point);
+        return meta;
+    }
+
+    function normalize(v){
+        var length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+        return [v[0] / length, v[1] / length, v[2] / length];
+    }
+
+    function cross(a, b){
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    function distance(a, b){
+        var dx = a[0] - b[0], dy = a[1] - b[1], dz = a[2] - b[2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    // Orthonormal [right, up, forward] basis for a metadata's orientation.
+    function basis(meta){
+        var up = normalize(meta.up || [0, 1, 0]);
+        var forward = normalize(meta.forward || [0, 0, 1]);
+        var right = normalize(cross(up, forward));
+        forward = cross(right, up);
+        return [right, up, forward];
+    }
+
+    // Rotation (row major 3x3) taking `from`'s basis onto `to`'s.
+    function rotationBetween(from, to){
+        var a = basis(from), b = basis(to);
+        var m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for(var r = 0; r < 3; r++){
+            for(var c = 0; c < 3; c++){
+                for(var k = 0; k < 3; k++) m[r][c] += b[k][r] * a[k][c];
+            }
+        }
+        return m;
+    }
+
+    // Euler angles [x, y, z] such that Ry * Rx * Rz == m, the order
+    // SceneNode applies them in.
+    function toEuler(m){
+        var x = Math.asin(Math.max(-1, Math.min(1, -m[1][2])));
+        if(Math.abs(m[1][2]) < 0.9999){
+            return [x, Math.atan2(m[0][2], m[2][2]), Math.atan2(m[1][0], m[1][1])];
+        }
+        return [x, Math.atan2(-m[2][0], m[0][0]), 0];
+    }
+
+    // The rotation matrix (row major 3x3) Ry * Rx * Rz for Euler angles
+    // [x, y, z]; the inverse of toEuler().
+    function fromEuler(angles){
+        var cx = Math.cos(angles[0]), sx = Math.sin(angles[0]);
+        var cy = Math.cos(angles[1]), sy = Math.sin(angles[1]);
+        var cz = Math.cos(angles[2]), sz = Math.sin(angles[2]);
+        return [
+            [cy * cz + sy * sx * sz, -cy * sz + sy * sx * cz, sy * cx],
+            [cx * sz, cx * cz, -sx],
+            [-sy * cz + cy * sx * sz, sy * sz + cy * sx * cz, cy * cx]
+        ];
+    }
+
+    // How an accessory sits on a head, in the head model's own coordinates:
+    // translate to `position`, rotate by `rotation` (SceneNode order), scale
+    // by `scale`, then shift the accessory mesh by `offset` so its anchor
+    // point lands on the head landmark. Returns null when the head has no
+    // such landmark.
+    function fit(head, accessory){
+        var landmarks = head.landmarks || {};
+        var target = landmarks[accessory.anchor.landmark];
+        if(!target) return null;
+
+        var scale = UNITS[accessory.units || 'cm'] / UNITS[head.units || 'cm'];
+        var size = accessory.size;
+        if(size && landmarks[size.from] && landmarks[size.to]){
+            scale = distance(landmarks[size.from], landmarks[size.to]) / size.length;
+        }
+
+        var point = accessory.anchor.point;
+        return {
+            position: target.slice(),
+            rotation: toEuler(rotationBetween(accessory, head)),
+            scale: scale,
+            offset: [-point[0], -point[1], -point[2]]
+        };
+    }
+
+    return {
+        UNITS: UNITS,
+        LANDMARKS: LANDMARKS,
+        validate: validate,
+        estimateHead: estimateHead,
+        shift: shift,
+        basis: basis,
+        rotationBetween: rotationBetween,
+        toEuler: toEuler,
+        fromEuler: fromEuler,
+        fit: fit
+    };
+}));
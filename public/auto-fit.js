@@ -0,0 +1,230 @@
+// Fits a hat to a scanned head from their geometry alone: the hat's inner
+// rim is sized to the head's slice at brow level, the hat is lowered until
+// either the rim grips or the inside of its crown rests on the skull, and
+// it is tilted to follow the lean of the head. Shared by the viewer's
+// "Auto fit" button and the server, which precomputes fits at upload.
+(function(root, factory){
+    if(typeof module === 'object' && module.exports){
+        module.exports = factory(require('./anchors'), require('./head-geometry'));
+    }else{
+        root.AutoFit = factory(root.Anchors, root.HeadGeometry);
+    }
+}(this, function(Anchors, HeadGeometry){
+
+    // Room left between the head and the inside of the hat, as a fraction
+    // of the hat's size.
+    var CLEARANCE = 0.02;
+
+    // The hat is sliced at this many heights, and each slice cut into this
+    // many sectors around the hat's axis, to find the inside of its crown.
+    var LEVELS = 20;
+    var SECTORS = 16;
+
+    var MAX_TILT = 0.35;
+
+    function ellipseRadius(r, w, center, a, b){
+        var x = (r - center[0]) / a, z = (w - center[1]) / b;
+        return Math.sqrt(x * x + z * z);
+    }
+
+    function median(values){
+        if(!values.length) return 0;
+        var sorted = values.slice().sort(function(a, b){ return a - b; });
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    function analyseHead(mesh, meta){
+        var f = HeadGeometry.frame(mesh, meta);
+        return {
+            meta: meta || {},
+            frame: f,
+            crown: f.max[1],
+            brow: HeadGeometry.browHeight(f, meta),
+            tolerance: (f.max[0] - f.min[0]) / 500
+        };
+    }
+
+    // The nearest point of a slice to `center` in each sector around it;
+    // null for sectors the slice doesn't reach.
+    function innerRadii(s, center){
+        var radii = [];
+        for(var k = 0; k < SECTORS; k++) radii.push(null);
+        for(var i = 0; i < s.count; i++){
+            var dr = s.points[i * 2] - center[0], dw = s.points[i * 2 + 1] - center[1];
+            var angle = Math.atan2(dw, dr);
+            var sector = Math.floor((angle + Math.PI) / (2 * Math.PI) * SECTORS) % SECTORS;
+            var radius = Math.sqrt(dr * dr + dw * dw);
+            if(radii[sector] === null || radius < radii[sector]) radii[sector] = radius;
+        }
+        return radii;
+    }
+
+    function sectorAngle(k){
+        return (k + 0.5) / SECTORS * 2 * Math.PI - Math.PI;
+    }
+
+    // Finds the inside of the hat. Its axis is the middle of the top half,
+    // clear of brims and visors; walking up from the bottom, the rim is the
+    // first slice that goes all the way round the axis, and the nearest
+    // point in each direction there is the opening (brims and junk near the
+    // axis are outvoted by taking medians). Further up, the inside ends
+    // where the slices close in to under half the rim: that is the ceiling
+    // the crown of the head meets. Returns the rim's center (in the hat's
+    // frame) and semi-axes, the depth of the inside above the rim, and how
+    // the inside narrows towards the ceiling as fractions of the rim.
+    function analyseHat(mesh, meta){
+        var f = HeadGeometry.frame(mesh, meta);
+        var height = f.max[1] - f.min[1];
+        if(!(height > 0)) return null;
+
+        var min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+        for(var i = 0; i < f.count; i++){
+            if(f.points[i * 3 + 1] < f.min[1] + height / 2) continue;
+            min[0] = Math.min(min[0], f.points[i * 3]);
+            max[0] = Math.max(max[0], f.points[i * 3]);
+            min[1] = Math.min(min[1], f.points[i * 3 + 2]);
+            max[1] = Math.max(max[1], f.points[i * 3 + 2]);
+        }
+        var center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2];
+
+        var levels = [];
+        for(var k = 1; k < LEVELS; k++){
+            var level = f.min[1] + height * k / LEVELS;
+            levels.push({height: level, radii: innerRadii(HeadGeometry.slice(f, level), center)});
+        }
+        var rim = null;
+        for(var k = 0; k < levels.length && !rim; k++){
+            var reached = levels[k].radii.filter(function(r){ return r !== null; }).length;
+            if(reached === SECTORS) rim = levels[k];
+        }
+        if(!rim) return null;
+
+        // Sectors within 30 degrees of left/right give the width, the rest
+        // of front/back the depth.
+        var across = [], along = [];
+        rim.radii.forEach(function(radius, k){
+            if(radius === null) return;
+            var c = Math.abs(Math.cos(sectorAngle(k)));
+            if(c > 0.85) across.push(radius);
+            else if(c < 0.5) along.push(radius);
+        });
+        var a = median(across), b = median(along);
+        if(!a || !b) return null;
+
+        var inside = [];
+        var ceiling = f.max[1];
+        for(var k = levels.indexOf(rim); k < levels.length; k++){
+            var fractions = [];
+            levels[k].radii.forEach(function(radius, s){
+                if(radius === null) return;
+                var angle = sectorAngle(s);
+                var ca = Math.cos(angle) * b, sa = Math.sin(angle) * a;
+                fractions.push(radius / (a * b / Math.sqrt(ca * ca + sa * sa)));
+            });
+            var fraction = median(fractions);
+            if(fraction < 0.5){
+                ceiling = levels[k].height;
+                break;
+            }
+            inside.push({height: levels[k].height, f: Math.min(1, fraction)});
+        }
+        var depth = ceiling - rim.height;
+        var profile = inside.map(function(level){
+            return {t: (level.height - rim.height) / depth, f: level.f};
+        });
+
+        return {
+            meta: meta || {},
+            frame: f,
+            center: [center[0], rim.height, center[1]],
+            a: a,
+            b: b,
+            depth: depth,
+            profile: profile
+        };
+    }
+
+    // Smallest scale at which the hat, rim at `height` on the head, clears
+    // every slice of the head it covers.
+    function scaleAt(head, hat, height, scale, center){
+        var needed = 0;
+        for(var k = 0; k < hat.profile.length; k++){
+            var level = height + scale * hat.profile[k].t * hat.depth;
+            if(level >= head.crown) break;
+            var s = HeadGeometry.slice(head.frame, level);
+            for(var i = 0; i < s.count; i++){
+                var r = ellipseRadius(s.points[i * 2], s.points[i * 2 + 1], center, hat.a, hat.b);
+                needed = Math.max(needed, r / hat.profile[k].f);
+            }
+        }
+        return needed * (1 + CLEARANCE);
+    }
+
+    // Rotation (row major 3x3) by `angle` about unit `axis`.
+    function axisRotation(axis, angle){
+        var c = Math.cos(angle), s = Math.sin(angle), t = 1 - c;
+        var x = axis[0], y = axis[1], z = axis[2];
+        return [
+            [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    }
+
+    function multiply(a, b){
+        var m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for(var r = 0; r < 3; r++){
+            for(var c = 0; c < 3; c++){
+                for(var k = 0; k < 3; k++) m[r][c] += a[r][k] * b[k][c];
+            }
+        }
+        return m;
+    }
+
+    // Takes analyseHead() and analyseHat() results and returns a placement
+    // like Anchors.fit(): {position, rotation, scale, offset} in the head
+    // model's coordinates. Null if either mesh gave nothing to measure.
+    function fit(head, hat){
+        if(!head || !hat) return null;
+        var height = head.brow;
+        var brow = HeadGeometry.slice(head.frame, height);
+        var center = brow.center;
+        // A first guess to decide how far up the hat the head reaches.
+        var scale = brow.width / (2 * hat.a);
+        // Grip at the brow unless the hat is too shallow to get down that
+        // far, in which case it sits on the crown and the rim rides higher
+        // (on a narrower slice, so the size is worked out again).
+        for(var i = 0; i < 8; i++){
+            scale = scaleAt(head, hat, height, scale, center);
+            if(!scale) return null;
+            var lowest = head.crown - scale * hat.depth;
+            var next = Math.max(head.brow, lowest);
+            if(Math.abs(next - height) < head.tolerance) break;
+            height = next;
+            center = HeadGeometry.slice(head.frame, height).center;
+        }
+
+        // Follow the lean of the head between the rim and the crown.
+        var middle = (height + head.crown) / 2;
+        var upper = HeadGeometry.slice(head.frame, middle).center;
+        var tilt = Math.atan2(upper[1] - center[1], middle - height);
+        tilt = Math.max(-MAX_TILT, Math.min(MAX_TILT, tilt));
+
+        var right = HeadGeometry.toModel(head.frame, [1, 0, 0]);
+        var rotation = multiply(axisRotation(right, tilt), Anchors.rotationBetween(hat.meta, head.meta));
+        var rim = HeadGeometry.toModel(hat.frame, hat.center);
+        return {
+            position: HeadGeometry.toModel(head.frame, [center[0], height, center[1]]),
+            rotation: Anchors.toEuler(rotation),
+            scale: scale,
+            offset: [-rim[0], -rim[1], -rim[2]]
+        };
+    }
+
+    return {
+        CLEARANCE: CLEARANCE,
+        analyseHead: analyseHead,
+        analyseHat: analyseHat,
+        fit: fit
+    };
+}));
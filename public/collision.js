@@ -0,0 +1,215 @@
+// Finds where an accessory cuts into a head: every accessory vertex that
+// ends up behind the head's surface, how far behind, and which part of the
+// head that is. The head's triangles go into a uniform grid so each vertex
+// only looks at the surface nearby. Shared by the viewer's "Check fit"
+// button and the server, which rejects precomputed fits that fail it.
+(function(root, factory){
+    if(typeof module === 'object' && module.exports){
+        module.exports = factory(require('./anchors'));
+    }else{
+        root.Collision = factory(root.Anchors);
+    }
+}(this, function(Anchors){
+
+    // Cells along the head's longest side.
+    var GRID_CELLS = 64;
+
+    // How far behind the surface (as a fraction of the head's size) a
+    // vertex is still looked for. Deeper than this the nearest surface is
+    // as likely to be the far side of the head.
+    var SEARCH = 0.05;
+
+    // Penetration shallower than this fraction of the head's size is
+    // scan noise, not a bad fit.
+    var TOLERANCE = 0.005;
+
+    // Buckets the mesh's triangles by the grid cells their bounds touch.
+    function buildGrid(mesh){
+        var p = mesh.positions, indices = mesh.indices;
+        var min = mesh.bbox.min, max = mesh.bbox.max;
+        var size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+        var cell = size / GRID_CELLS;
+        var dims = [0, 1, 2].map(function(k){ return Math.max(1, Math.ceil((max[k] - min[k]) / cell)); });
+        var cells = new Array(dims[0] * dims[1] * dims[2]);
+        var index = function(k, value){
+            return Math.max(0, Math.min(dims[k] - 1, Math.floor((value - min[k]) / cell)));
+        };
+        for(var t = 0; t < indices.length; t += 3){
+            var lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+            for(var c = 0; c < 3; c++){
+                for(var k = 0; k < 3; k++){
+                    var v = p[indices[t + c] * 3 + k];
+                    if(v < lo[k]) lo[k] = v;
+                    if(v > hi[k]) hi[k] = v;
+                }
+            }
+            for(var x = index(0, lo[0]); x <= index(0, hi[0]); x++){
+                for(var y = index(1, lo[1]); y <= index(1, hi[1]); y++){
+                    for(var z = index(2, lo[2]); z <= index(2, hi[2]); z++){
+                        var i = x + dims[0] * (y + dims[1] * z);
+                        (cells[i] || (cells[i] = [])).push(t);
+                    }
+                }
+            }
+        }
+        return {mesh: mesh, min: min, cell: cell, dims: dims, cells: cells, size: size};
+    }
+
+    function sub(a, b){ return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    function dot(a, b){ return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+
+    // Closest point to p on triangle abc (Ericson, Real-Time Collision
+    // Detection, 5.1.5).
+    function closestOnTriangle(p, a, b, c){
+        var ab = sub(b, a), ac = sub(c, a), ap = sub(p, a);
+        var d1 = dot(ab, ap), d2 = dot(ac, ap);
+        if(d1 <= 0 && d2 <= 0) return a;
+        var bp = sub(p, b), d3 = dot(ab, bp), d4 = dot(ac, bp);
+        if(d3 >= 0 && d4 <= d3) return b;
+        var vc = d1 * d4 - d3 * d2;
+        if(vc <= 0 && d1 >= 0 && d3 <= 0){
+            var v = d1 / (d1 - d3);
+            return [a[0] + ab[0] * v, a[1] + ab[1] * v, a[2] + ab[2] * v];
+        }
+        var cp = sub(p, c), d5 = dot(ab, cp), d6 = dot(ac, cp);
+        if(d6 >= 0 && d5 <= d6) return c;
+        var vb = d5 * d2 - d1 * d6;
+        if(vb <= 0 && d2 >= 0 && d6 <= 0){
+            var w = d2 / (d2 - d6);
+            return [a[0] + ac[0] * w, a[1] + ac[1] * w, a[2] + ac[2] * w];
+        }
+        var va = d3 * d6 - d5 * d4;
+        if(va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0){
+            var w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+            return [b[0] + (c[0] - b[0]) * w, b[1] + (c[1] - b[1]) * w, b[2] + (c[2] - b[2]) * w];
+        }
+        var denom = 1 / (va + vb + vc);
+        var v = vb * denom, w = vc * denom;
+        return [a[0] + ab[0] * v + ac[0] * w, a[1] + ab[1] * v + ac[1] * w, a[2] + ab[2] * v + ac[2] * w];
+    }
+
+    function vertex(mesh, i){
+        return [mesh.positions[i * 3], mesh.positions[i * 3 + 1], mesh.positions[i * 3 + 2]];
+    }
+
+    // How far `point` is behind the surface within `radius`, and the
+    // triangle it is behind; null when it is in front or too far away.
+    // Searches outwards a shell of cells at a time and stops once nothing
+    // unvisited could be nearer than the best so far.
+    function depthBehind(grid, point, radius){
+        var mesh = grid.mesh, indices = mesh.indices;
+        for(var k = 0; k < 3; k++){
+            if(point[k] < mesh.bbox.min[k] - radius || point[k] > mesh.bbox.max[k] + radius) return null;
+        }
+        var best = null, bestDistance = radius * radius;
+        var home = [0, 1, 2].map(function(k){ return Math.floor((point[k] - grid.min[k]) / grid.cell); });
+        var rings = Math.ceil(radius / grid.cell);
+        for(var n = 0; n <= rings; n++){
+            for(var x = home[0] - n; x <= home[0] + n; x++){
+                if(x < 0 || x >= grid.dims[0]) continue;
+                for(var y = home[1] - n; y <= home[1] + n; y++){
+                    if(y < 0 || y >= grid.dims[1]) continue;
+                    for(var z = home[2] - n; z <= home[2] + n; z++){
+                        if(z < 0 || z >= grid.dims[2]) continue;
+                        // Only the shell; the inside was searched already.
+                        if(Math.max(Math.abs(x - home[0]), Math.abs(y - home[1]), Math.abs(z - home[2])) !== n) continue;
+                        var triangles = grid.cells[x + grid.dims[0] * (y + grid.dims[1] * z)];
+                        if(!triangles) continue;
+                        for(var i = 0; i < triangles.length; i++){
+                            var t = triangles[i];
+                            var a = vertex(mesh, indices[t]), b = vertex(mesh, indices[t + 1]), c = vertex(mesh, indices[t + 2]);
+                            var q = closestOnTriangle(point, a, b, c);
+                            var d = sub(point, q);
+                            var distance = dot(d, d);
+                            if(distance < bestDistance){
+                                bestDistance = distance;
+                                best = {triangle: t, point: q, a: a, b: b, c: c};
+                            }
+                        }
+                    }
+                }
+            }
+            if(best && bestDistance <= n * grid.cell * n * grid.cell) break;
+        }
+        if(!best) return null;
+        var e1 = sub(best.b, best.a), e2 = sub(best.c, best.a);
+        var normal = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+        if(dot(sub(point, best.point), normal) >= 0) return null;
+        return {depth: Math.sqrt(bestDistance), triangle: best.triangle};
+    }
+
+    // Where a placement (see Anchors.fit()) puts an accessory vertex, in
+    // the head model's coordinates.
+    function placer(placement){
+        var m = Anchors.fromEuler(placement.rotation);
+        var s = placement.scale, o = placement.offset, t = placement.position;
+        return function(p){
+            var x = (p[0] + o[0]) * s, y = (p[1] + o[1]) * s, z = (p[2] + o[2]) * s;
+            return [
+                t[0] + m[0][0] * x + m[0][1] * y + m[0][2] * z,
+                t[1] + m[1][0] * x + m[1][1] * y + m[1][2] * z,
+                t[2] + m[2][0] * x + m[2][1] * y + m[2][2] * z
+            ];
+        };
+    }
+
+    // Names the side of the head a point is on, in the frame the head's
+    // anchors describe.
+    function describe(point, center, meta){
+        var axes = Anchors.basis(meta || {});
+        var d = sub(point, center);
+        var along = axes.map(function(axis){ return dot(d, axis); });
+        var k = 0;
+        for(var i = 1; i < 3; i++) if(Math.abs(along[i]) > Math.abs(along[k])) k = i;
+        return [["right side", "left side"], ["bottom", "top"], ["back", "front"]][k][along[k] > 0 ? 1 : 0];
+    }
+
+    // Checks an accessory mesh, placed on the head by `placement`, against
+    // the head mesh. `grid` is an earlier buildGrid(head) to reuse, if any.
+    // Returns {penetrating, maxDepth, tolerance, count, vertices (the
+    // accessory's offending vertices, in head coordinates), triangles (the
+    // head triangles they are behind), region: {min, max, center, side}}.
+    function check(head, accessory, placement, headMeta, grid){
+        grid = grid || buildGrid(head);
+        var place = placer(placement);
+        var radius = grid.size * SEARCH;
+        var vertices = [], triangles = {}, maxDepth = 0;
+        var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        var count = accessory.positions.length / 3;
+        for(var i = 0; i < count; i++){
+            var point = place(vertex(accessory, i));
+            var hit = depthBehind(grid, point, radius);
+            if(!hit) continue;
+            vertices.push(point);
+            triangles[hit.triangle] = true;
+            maxDepth = Math.max(maxDepth, hit.depth);
+            for(var k = 0; k < 3; k++){
+                min[k] = Math.min(min[k], point[k]);
+                max[k] = Math.max(max[k], point[k]);
+            }
+        }
+        var tolerance = grid.size * TOLERANCE;
+        var result = {
+            penetrating: maxDepth > tolerance,
+            maxDepth: maxDepth,
+            tolerance: tolerance,
+            count: vertices.length,
+            vertices: vertices,
+            triangles: Object.keys(triangles).map(Number),
+            region: null
+        };
+        if(vertices.length){
+            var center = [0, 1, 2].map(function(k){ return (min[k] + max[k]) / 2; });
+            var headCenter = [0, 1, 2].map(function(k){ return (head.bbox.min[k] + head.bbox.max[k]) / 2; });
+            result.region = {min: min, max: max, center: center, side: describe(center, headCenter, headMeta)};
+        }
+        return result;
+    }
+
+    return {
+        TOLERANCE: TOLERANCE,
+        buildGrid: buildGrid,
+        closestOnTriangle: closestOnTriangle,
+        check: check
+    };
+}));
@@ -0,0 +1,167 @@
+// Handles for placing an accessory by hand in the viewer's adjustment mode:
+// one per axis of the head's coordinates, dragged (or nudged from the
+// keyboard) to move, turn or resize the accessory node they are attached to.
+//
+// Draws through scene-graph.js and mesh-renderer.js. Picking and dragging
+// work in canvas pixels through a `project` function the viewer supplies,
+// which maps a point in the head's coordinates onto the canvas.
+
+var GIZMO_COLORS = [[0.9, 0.2, 0.2], [0.2, 0.8, 0.2], [0.2, 0.4, 0.9]];
+var GIZMO_ACTIVE_COLOR = [1.0, 0.8, 0.1];
+
+// How close (in pixels) the pointer has to be to a handle to grab it.
+var GIZMO_PICK_DISTANCE = 8;
+
+// An axis aligned box as a mesh uploadMesh() takes: flat normals, one
+// material group, no texture.
+function boxMesh(min, max){
+    var positions = [], normals = [], indices = [];
+    var corners = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    for(var a = 0; a < 3; a++){
+        var b = (a + 1) % 3, c = (a + 2) % 3;
+        [-1, 1].forEach(function(sign){
+            var base = positions.length / 3;
+            var order = sign > 0 ? corners : corners.slice().reverse();
+            order.forEach(function(corner){
+                var p = [];
+                p[a] = sign > 0 ? max[a] : min[a];
+                p[b] = corner[0] ? max[b] : min[b];
+                p[c] = corner[1] ? max[c] : min[c];
+                var n = [0, 0, 0];
+                n[a] = sign;
+                positions.push(p[0], p[1], p[2]);
+                normals.push(n[0], n[1], n[2]);
+            });
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        });
+    }
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        uvs: new Float32Array(positions.length / 3 * 2),
+        indices: new Uint32Array(indices),
+        groups: [{name: null, material: null, start: 0, count: indices.length}],
+        materials: []
+    };
+}
+
+function flatMaterial(color){
+    return {ambient: color, diffuse: color, specular: [0, 0, 0], shininess: 0, opacity: 1, texture: null};
+}
+
+function FitGizmo(){
+    this.node = new SceneNode("gizmo");
+    this.handles = [];
+    this.materials = GIZMO_COLORS.map(flatMaterial);
+    this.activeMaterial = flatMaterial(GIZMO_ACTIVE_COLOR);
+    this.target = null;
+    this.length = 1.0;
+    this.mode = "translate";
+    this.active = -1;
+}
+
+// Handles are unit length along their axis; attach() scales them.
+FitGizmo.prototype.build = function(gl){
+    var thickness = 0.03;
+    for(var axis = 0; axis < 3; axis++){
+        var min = [-thickness, -thickness, -thickness];
+        var max = [thickness, thickness, thickness];
+        max[axis] = 1.0;
+        var mesh = boxMesh(min, max);
+        var handle = this.node.add(new SceneNode("gizmo-" + "xyz"[axis]));
+        handle.setMesh(mesh, uploadMesh(gl, mesh));
+        handle.material = this.materials[axis];
+        this.handles.push(handle);
+    }
+};
+
+// `target` is an accessory node; `length` is the handle length in the
+// head's units.
+FitGizmo.prototype.attach = function(target, length){
+    this.target = target;
+    this.length = length;
+    this.node.scale = length;
+    this.active = -1;
+};
+
+FitGizmo.prototype.detach = function(){
+    this.target = null;
+    this.active = -1;
+};
+
+FitGizmo.prototype.setMode = function(mode){
+    this.mode = mode;
+};
+
+// Moves, turns or resizes the target along one axis. `amount` is in handle
+// lengths for moving, half turns for turning and a fraction for resizing.
+FitGizmo.prototype.adjust = function(axis, amount){
+    var target = this.target;
+    if(!target) return;
+    if(this.mode === "translate"){
+        target.position[axis] += amount * this.length;
+    }else if(this.mode === "rotate"){
+        target.rotation[axis] += amount * Math.PI;
+    }else{
+        target.scale *= Math.max(0.1, 1 + amount);
+    }
+};
+
+// The handle's ends on the canvas.
+FitGizmo.prototype.handleEnds = function(project, axis){
+    var origin = this.target.position;
+    var tip = origin.slice();
+    tip[axis] += this.length;
+    return [project(origin), project(tip)];
+};
+
+// Grabs the handle under canvas point (x, y), if any. Returns whether one
+// was grabbed.
+FitGizmo.prototype.pick = function(project, x, y){
+    this.active = -1;
+    if(!this.target) return false;
+    var best = GIZMO_PICK_DISTANCE;
+    for(var axis = 0; axis < 3; axis++){
+        var ends = this.handleEnds(project, axis);
+        var dx = ends[1][0] - ends[0][0], dy = ends[1][1] - ends[0][1];
+        var length2 = dx * dx + dy * dy;
+        var t = length2 ? ((x - ends[0][0]) * dx + (y - ends[0][1]) * dy) / length2 : 0;
+        t = Math.max(0, Math.min(1, t));
+        var px = ends[0][0] + t * dx - x, py = ends[0][1] + t * dy - y;
+        var distance = Math.sqrt(px * px + py * py);
+        if(distance < best){
+            best = distance;
+            this.active = axis;
+        }
+    }
+    return this.active !== -1;
+};
+
+// Drags the grabbed handle by (dx, dy) canvas pixels; only motion along the
+// handle as it appears on screen counts.
+FitGizmo.prototype.drag = function(project, dx, dy){
+    if(!this.target || this.active === -1) return;
+    var ends = this.handleEnds(project, this.active);
+    var hx = ends[1][0] - ends[0][0], hy = ends[1][1] - ends[0][1];
+    var length2 = hx * hx + hy * hy;
+    // A handle pointing straight at the camera can't be dragged sensibly.
+    if(length2 < 1) return;
+    this.adjust(this.active, (dx * hx + dy * hy) / length2);
+};
+
+FitGizmo.prototype.release = function(){
+    this.active = -1;
+};
+
+// Draws on top of everything, with the matrix stack already in the head's
+// coordinates.
+FitGizmo.prototype.draw = function(gl){
+    if(!this.target) return;
+    this.node.position = this.target.position.slice();
+    for(var axis = 0; axis < 3; axis++){
+        this.handles[axis].material = axis === this.active ? this.activeMaterial : this.materials[axis];
+    }
+    gl.disable(gl.DEPTH_TEST);
+    this.node.draw(gl);
+    gl.enable(gl.DEPTH_TEST);
+};
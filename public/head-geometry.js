@@ -0,0 +1,118 @@
+// Measuring meshes in the upright frame their anchor metadata describes
+// (see anchors.js): each point becomes [right, up, forward], so "height"
+// and "slice at brow level" mean the same thing for every scan whatever
+// way up it was exported. Shared by the viewer and the server like
+// anchors.js.
+(function(root, factory){
+    if(typeof module === 'object' && module.exports){
+        module.exports = factory(require('./anchors'));
+    }else{
+        root.HeadGeometry = factory(root.Anchors);
+    }
+}(this, function(Anchors){
+
+    // Returns {points, count, indices, min, max, axes}: the mesh's positions
+    // in the frame as [right, up, forward] triples, its triangles, their
+    // bounds, and the frame's axes in model coordinates.
+    function frame(mesh, meta){
+        var axes = Anchors.basis(meta || {});
+        var positions = mesh.positions;
+        var count = positions.length / 3;
+        var points = new Float32Array(count * 3);
+        var min = [Infinity, Infinity, Infinity];
+        var max = [-Infinity, -Infinity, -Infinity];
+        for(var i = 0; i < count; i++){
+            var x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            for(var k = 0; k < 3; k++){
+                var value = x * axes[k][0] + y * axes[k][1] + z * axes[k][2];
+                points[i * 3 + k] = value;
+                if(value < min[k]) min[k] = value;
+                if(value > max[k]) max[k] = value;
+            }
+        }
+        return {points: points, count: count, indices: mesh.indices, min: min, max: max, axes: axes};
+    }
+
+    // Model coordinates of a point given in the frame.
+    function toModel(f, point){
+        var axes = f.axes;
+        return [0, 1, 2].map(function(k){
+            return axes[0][k] * point[0] + axes[1][k] * point[1] + axes[2][k] * point[2];
+        });
+    }
+
+    // Height of a model space point in the frame.
+    function heightOf(f, point){
+        var up = f.axes[1];
+        return point[0] * up[0] + point[1] * up[1] + point[2] * up[2];
+    }
+
+    // Cuts the mesh with the horizontal plane at `height`. Returns where its
+    // edges cross the plane as flat [right, forward] pairs, with the middle
+    // of their bounds and their extents. Works off the triangles rather than
+    // the vertices so sparse meshes slice as well as dense scans.
+    function slice(f, height){
+        var p = f.points, indices = f.indices;
+        var points = [];
+        var min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+        for(var t = 0; t < indices.length; t += 3){
+            for(var e = 0; e < 3; e++){
+                var i = indices[t + e], j = indices[t + (e + 1) % 3];
+                var a = p[i * 3 + 1] - height, b = p[j * 3 + 1] - height;
+                if((a < 0) === (b < 0)) continue;
+                var k = a / (a - b);
+                var r = p[i * 3] + (p[j * 3] - p[i * 3]) * k;
+                var w = p[i * 3 + 2] + (p[j * 3 + 2] - p[i * 3 + 2]) * k;
+                points.push(r, w);
+                if(r < min[0]) min[0] = r;
+                if(r > max[0]) max[0] = r;
+                if(w < min[1]) min[1] = w;
+                if(w > max[1]) max[1] = w;
+            }
+        }
+        var count = points.length / 2;
+        return {
+            points: points,
+            count: count,
+            center: count ? [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2] : [0, 0],
+            width: count ? max[0] - min[0] : 0,
+            depth: count ? max[1] - min[1] : 0
+        };
+    }
+
+    // Scans down from the crown for the head's widest slice, stopping at the
+    // neck so shoulders in the scan don't count. Returns {height, width}.
+    function widest(f){
+        var crown = f.max[1];
+        var step = (crown - f.min[1]) / 100;
+        var best = {height: crown, width: 0};
+        for(var height = crown - step; height > f.min[1]; height -= step){
+            var width = slice(f, height).width;
+            if(width > best.width) best = {height: height, width: width};
+            else if(width < best.width * 0.85) break;
+        }
+        return best;
+    }
+
+    // Height of the brow, where a hat band sits and hat sizes are measured:
+    // a little above the nose bridge when the metadata places it, otherwise
+    // about six tenths of the head's width below the crown.
+    function browHeight(f, meta){
+        var crown = f.max[1];
+        var landmarks = meta && !meta.estimated && meta.landmarks || {};
+        if(landmarks.noseBridge){
+            var nose = heightOf(f, landmarks.noseBridge);
+            if(nose < crown) return nose + (crown - nose) * 0.1;
+        }
+        return crown - widest(f).width * 0.6;
+    }
+
+    return {
+        frame: frame,
+        toModel: toModel,
+        heightOf: heightOf,
+        slice: slice,
+        widest: widest,
+        browHeight: browHeight
+    };
+}));
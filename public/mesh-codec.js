@@ -0,0 +1,307 @@
+// Compact binary meshes: what OBJParser.parse() gives, in a fraction of the
+// bytes and without any text to parse. The server writes one next to each
+// model (<name>.mesh beside <name>.obj, see lib/binary-meshes.js) and the
+// viewer decodes it straight into typed arrays.
+//
+// Usable as a <script> (exposes window.MeshCodec) or through require().
+(function(root, factory){
+    if(typeof module === 'object' && module.exports){
+        module.exports = factory();
+    }else{
+        root.MeshCodec = factory();
+    }
+}(this, function(){
+
+    // Layout, little endian throughout:
+    //     0  "HMSH"
+    //     4  u16 version (1)
+    //     6  u16 flags: 1 normals, 2 uvs, 4 meta, 8 colors
+    //     8  u32 vertex count
+    //    12  u32 index count
+    //    16  f32 x3 bbox min, f32 x3 bbox max, f32 x3 center
+    //    52  f32 x2 uv min, f32 x2 uv max
+    //    68  f32 x5 meta (x, y, z, rot, scale)
+    //    88  u32 bytes of indices
+    //    92  u16 group count, u16 material count
+    //    96  positions: u16 x3 per vertex, quantized across the bbox
+    //        normals: i8 x2 per vertex, octahedron encoded
+    //        uvs: u16 x2 per vertex, quantized across the uv range
+    //        colors: u8 x3 per vertex
+    //        indices: each one's difference from the one before, zigzag
+    //        encoded as a varint
+    //        groups: u32 start, u32 count, name, material
+    //        materials: the mtllib files
+    // Strings are a u16 byte length and UTF-8; a length of 0xffff is null.
+    var MAGIC = [72, 77, 83, 72];
+    var VERSION = 1;
+    var HEADER = 96;
+    var NORMALS = 1, UVS = 2, META = 4, COLORS = 8;
+    var NO_STRING = 0xffff;
+
+    function utf8(text){
+        var escaped = unescape(encodeURIComponent(text));
+        var bytes = [];
+        for(var i = 0; i < escaped.length; i++) bytes.push(escaped.charCodeAt(i));
+        return bytes;
+    }
+
+    function fromUTF8(bytes){
+        var escaped = '';
+        for(var i = 0; i < bytes.length; i++) escaped += String.fromCharCode(bytes[i]);
+        return decodeURIComponent(escape(escaped));
+    }
+
+    function quantize(value, min, max){
+        return max > min ? Math.round((value - min) / (max - min) * 65535) : 0;
+    }
+
+    function sign(value){
+        return value < 0 ? -1 : 1;
+    }
+
+    // Folds the unit sphere onto a square: two small numbers per normal
+    // instead of three floats.
+    function octEncode(x, y, z){
+        var length = Math.abs(x) + Math.abs(y) + Math.abs(z);
+        if(length === 0) return [0, 0];
+        x /= length;
+        y /= length;
+        if(z < 0){
+            var fx = (1 - Math.abs(y)) * sign(x);
+            y = (1 - Math.abs(x)) * sign(y);
+            x = fx;
+        }
+        return [Math.round(x * 127), Math.round(y * 127)];
+    }
+
+    function octDecode(u, v, out, at){
+        var x = u / 127, y = v / 127;
+        var z = 1 - Math.abs(x) - Math.abs(y);
+        if(z < 0){
+            var fx = (1 - Math.abs(y)) * sign(x);
+            y = (1 - Math.abs(x)) * sign(y);
+            x = fx;
+        }
+        var length = Math.sqrt(x * x + y * y + z * z) || 1;
+        out[at] = x / length;
+        out[at + 1] = y / length;
+        out[at + 2] = z / length;
+    }
+
+    function hasUVs(mesh){
+        for(var i = 0; i < mesh.uvs.length; i++){
+            if(mesh.uvs[i] !== 0) return true;
+        }
+        return false;
+    }
+
+    // encode(mesh) returns the binary form of a mesh from OBJParser.parse()
+    // as a Uint8Array.
+    function encode(mesh){
+        var vertexCount = mesh.positions.length / 3;
+        var uvs = hasUVs(mesh);
+        var colors = !!mesh.colors;
+        var bbox = mesh.bbox || {min: [0, 0, 0], max: [0, 0, 0]};
+        var uvMin = [Infinity, Infinity], uvMax = [-Infinity, -Infinity];
+        if(uvs){
+            for(var i = 0; i < mesh.uvs.length; i++){
+                uvMin[i % 2] = Math.min(uvMin[i % 2], mesh.uvs[i]);
+                uvMax[i % 2] = Math.max(uvMax[i % 2], mesh.uvs[i]);
+            }
+        }else{
+            uvMin = [0, 0];
+            uvMax = [0, 0];
+        }
+
+        var indexBytes = [];
+        var previous = 0;
+        for(var i = 0; i < mesh.indices.length; i++){
+            var delta = mesh.indices[i] - previous;
+            previous = mesh.indices[i];
+            var zigzag = delta >= 0 ? delta * 2 : -delta * 2 - 1;
+            while(zigzag >= 128){
+                indexBytes.push(zigzag % 128 + 128);
+                zigzag = Math.floor(zigzag / 128);
+            }
+            indexBytes.push(zigzag);
+        }
+
+        var strings = [];
+        var string = function(text){
+            var bytes = text === null || text === undefined ? null : utf8(text);
+            strings.push(bytes);
+            return 2 + (bytes ? bytes.length : 0);
+        };
+        var tail = 0;
+        mesh.groups.forEach(function(group){
+            tail += 8 + string(group.name) + string(group.material);
+        });
+        mesh.materials.forEach(function(file){
+            tail += string(file);
+        });
+
+        var size = HEADER + vertexCount * 6 + vertexCount * 2 + (uvs ? vertexCount * 4 : 0) + (colors ? vertexCount * 3 : 0) + indexBytes.length + tail;
+        var bytes = new Uint8Array(size);
+        var view = new DataView(bytes.buffer);
+        for(var i = 0; i < 4; i++) bytes[i] = MAGIC[i];
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, NORMALS | (uvs ? UVS : 0) | (mesh.meta ? META : 0) | (colors ? COLORS : 0), true);
+        view.setUint32(8, vertexCount, true);
+        view.setUint32(12, mesh.indices.length, true);
+        var floats = bbox.min.concat(bbox.max, mesh.center, uvMin, uvMax);
+        if(mesh.meta) floats = floats.concat([mesh.meta.x, mesh.meta.y, mesh.meta.z, mesh.meta.rot, mesh.meta.scale]);
+        floats.forEach(function(value, k){
+            view.setFloat32(16 + k * 4, value, true);
+        });
+        view.setUint32(88, indexBytes.length, true);
+        view.setUint16(92, mesh.groups.length, true);
+        view.setUint16(94, mesh.materials.length, true);
+
+        var at = HEADER;
+        for(var v = 0; v < vertexCount; v++){
+            for(var k = 0; k < 3; k++){
+                view.setUint16(at, quantize(mesh.positions[v * 3 + k], bbox.min[k], bbox.max[k]), true);
+                at += 2;
+            }
+        }
+        for(var v = 0; v < vertexCount; v++){
+            var oct = octEncode(mesh.normals[v * 3], mesh.normals[v * 3 + 1], mesh.normals[v * 3 + 2]);
+            view.setInt8(at++, oct[0]);
+            view.setInt8(at++, oct[1]);
+        }
+        if(uvs){
+            for(var v = 0; v < vertexCount; v++){
+                for(var k = 0; k < 2; k++){
+                    view.setUint16(at, quantize(mesh.uvs[v * 2 + k], uvMin[k], uvMax[k]), true);
+                    at += 2;
+                }
+            }
+        }
+        if(colors){
+            for(var i = 0; i < vertexCount * 3; i++){
+                bytes[at++] = Math.round(Math.min(Math.max(mesh.colors[i], 0), 1) * 255);
+            }
+        }
+        bytes.set(indexBytes, at);
+        at += indexBytes.length;
+
+        var s = 0;
+        var writeString = function(){
+            var text = strings[s++];
+            view.setUint16(at, text ? text.length : NO_STRING, true);
+            at += 2;
+            if(text){
+                bytes.set(text, at);
+                at += text.length;
+            }
+        };
+        mesh.groups.forEach(function(group){
+            view.setUint32(at, group.start, true);
+            view.setUint32(at + 4, group.count, true);
+            at += 8;
+            writeString();
+            writeString();
+        });
+        mesh.materials.forEach(writeString);
+        return bytes;
+    }
+
+    // decode(buffer) turns an ArrayBuffer (or Uint8Array) from encode()
+    // back into a mesh like OBJParser.parse()'s. Throws if it isn't one.
+    function decode(buffer){
+        var bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if(bytes.length < HEADER || MAGIC.some(function(b, i){ return bytes[i] !== b; })){
+            throw new Error("Not a binary mesh.");
+        }
+        if(view.getUint16(4, true) !== VERSION) throw new Error("Unknown binary mesh version " + view.getUint16(4, true) + ".");
+        var flags = view.getUint16(6, true);
+        var vertexCount = view.getUint32(8, true);
+        var indexCount = view.getUint32(12, true);
+        var floats = [];
+        for(var k = 0; k < 18; k++) floats.push(view.getFloat32(16 + k * 4, true));
+        var min = floats.slice(0, 3), max = floats.slice(3, 6);
+        var uvMin = floats.slice(9, 11), uvMax = floats.slice(11, 13);
+
+        var positions = new Float32Array(vertexCount * 3);
+        var at = HEADER;
+        for(var i = 0; i < vertexCount * 3; i++){
+            var k = i % 3;
+            positions[i] = min[k] + view.getUint16(at, true) / 65535 * (max[k] - min[k]);
+            at += 2;
+        }
+        var normals = new Float32Array(vertexCount * 3);
+        if(flags & NORMALS){
+            for(var v = 0; v < vertexCount; v++){
+                octDecode(view.getInt8(at), view.getInt8(at + 1), normals, v * 3);
+                at += 2;
+            }
+        }
+        var uvs = new Float32Array(vertexCount * 2);
+        if(flags & UVS){
+            for(var i = 0; i < vertexCount * 2; i++){
+                var k = i % 2;
+                uvs[i] = uvMin[k] + view.getUint16(at, true) / 65535 * (uvMax[k] - uvMin[k]);
+                at += 2;
+            }
+        }
+        var colors = null;
+        if(flags & COLORS){
+            colors = new Float32Array(vertexCount * 3);
+            for(var i = 0; i < vertexCount * 3; i++) colors[i] = bytes[at++] / 255;
+        }
+
+        var indices = new Uint32Array(indexCount);
+        var end = at + view.getUint32(88, true);
+        var previous = 0;
+        for(var i = 0; i < indexCount; i++){
+            var zigzag = 0, scale = 1, b;
+            do{
+                if(at >= end) throw new Error("Binary mesh indices run short.");
+                b = bytes[at++];
+                zigzag += (b % 128) * scale;
+                scale *= 128;
+            }while(b >= 128);
+            previous += zigzag % 2 ? -(zigzag + 1) / 2 : zigzag / 2;
+            indices[i] = previous;
+        }
+        at = end;
+
+        var readString = function(){
+            var length = view.getUint16(at, true);
+            at += 2;
+            if(length === NO_STRING) return null;
+            var text = fromUTF8(bytes.subarray(at, at + length));
+            at += length;
+            return text;
+        };
+        var groups = [];
+        var groupCount = view.getUint16(92, true);
+        for(var g = 0; g < groupCount; g++){
+            var start = view.getUint32(at, true), count = view.getUint32(at + 4, true);
+            at += 8;
+            groups.push({name: readString(), material: readString(), start: start, count: count});
+        }
+        var materials = [];
+        var materialCount = view.getUint16(94, true);
+        for(var m = 0; m < materialCount; m++) materials.push(readString());
+
+        return {
+            positions: positions,
+            normals: normals,
+            uvs: uvs,
+            colors: colors,
+            indices: indices,
+            groups: groups,
+            materials: materials,
+            bbox: vertexCount ? {min: min, max: max} : null,
+            center: floats.slice(6, 9),
+            meta: flags & META ? {x: floats[13], y: floats[14], z: floats[15], rot: floats[16], scale: floats[17]} : null
+        };
+    }
+
+    return {
+        encode: encode,
+        decode: decode
+    };
+}));
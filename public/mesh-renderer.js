@@ -0,0 +1,221 @@
+// GL side of model loading: takes a mesh from OBJParser.parse() and uploads
+// it into buffers. Each buffer carries itemSize/numItems the way drawScene()
+// has always expected.
+//
+// WebGL 1 only guarantees 16-bit indices. Head scans from Kinect Fusion go
+// well past 65,535 vertices, so big meshes either use OES_element_index_uint
+// when the browser has it, or get cut into chunks that each fit in 16 bits.
+
+var MAX_SHORT_VERTICES = 65536;
+
+function createArrayBuffer(gl, data, itemSize){
+    var buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    buffer.itemSize = itemSize;
+    buffer.numItems = data.length / itemSize;
+    return buffer;
+}
+
+function createIndexBuffer(gl, data){
+    var buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    buffer.itemSize = 1;
+    buffer.numItems = data.length;
+    buffer.type = data instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    return buffer;
+}
+
+// `start` is where the chunk's indices begin in mesh.indices, so ranges
+// like mesh.groups can be mapped onto chunks. `colors` is null for meshes
+// without vertex colours.
+function uploadChunk(gl, positions, normals, uvs, colors, indices, start){
+    return {
+        position: createArrayBuffer(gl, positions, 3),
+        normal: createArrayBuffer(gl, normals, 3),
+        texture: createArrayBuffer(gl, uvs, 2),
+        color: colors ? createArrayBuffer(gl, colors, 3) : null,
+        index: createIndexBuffer(gl, indices),
+        start: start,
+        count: indices.length
+    };
+}
+
+// Cuts the mesh into runs of whole triangles that each reference at most
+// MAX_SHORT_VERTICES distinct vertices, renumbering the indices per run.
+function splitMesh(mesh){
+    var chunks = [];
+    var indices = mesh.indices;
+    var start = 0;
+    while(start < indices.length){
+        var local = {};
+        var order = [];
+        var end = start;
+        while(end < indices.length){
+            var added = 0;
+            for(var k = 0; k < 3; k++){
+                if(local[indices[end + k]] === undefined) added++;
+            }
+            if(order.length + added > MAX_SHORT_VERTICES) break;
+            for(var k = 0; k < 3; k++){
+                var index = indices[end + k];
+                if(local[index] === undefined){
+                    local[index] = order.length;
+                    order.push(index);
+                }
+            }
+            end += 3;
+        }
+
+        var chunk = {
+            positions: new Float32Array(order.length * 3),
+            normals: new Float32Array(order.length * 3),
+            uvs: new Float32Array(order.length * 2),
+            colors: mesh.colors ? new Float32Array(order.length * 3) : null,
+            indices: new Uint16Array(end - start),
+            start: start
+        };
+        for(var i = 0; i < order.length; i++){
+            var from = order[i];
+            for(var k = 0; k < 3; k++){
+                chunk.positions[i * 3 + k] = mesh.positions[from * 3 + k];
+                chunk.normals[i * 3 + k] = mesh.normals[from * 3 + k];
+                if(chunk.colors) chunk.colors[i * 3 + k] = mesh.colors[from * 3 + k];
+            }
+            chunk.uvs[i * 2] = mesh.uvs[from * 2];
+            chunk.uvs[i * 2 + 1] = mesh.uvs[from * 2 + 1];
+        }
+        for(var i = start; i < end; i++){
+            chunk.indices[i - start] = local[indices[i]];
+        }
+        chunks.push(chunk);
+        start = end;
+    }
+    return chunks;
+}
+
+// Returns {chunks: [{position, normal, texture, color, index, start, count}],
+// groups, materials}. Small meshes and browsers with 32-bit index support
+// get a single chunk. `materials` starts out empty; fill it by name with
+// createMaterial() as the mesh's .mtl files arrive.
+function uploadMesh(gl, mesh){
+    var vertexCount = mesh.positions.length / 3;
+    var chunks;
+    if(vertexCount <= MAX_SHORT_VERTICES){
+        chunks = [uploadChunk(gl, mesh.positions, mesh.normals, mesh.uvs, mesh.colors, new Uint16Array(mesh.indices), 0)];
+    }else if(gl.getExtension('OES_element_index_uint')){
+        chunks = [uploadChunk(gl, mesh.positions, mesh.normals, mesh.uvs, mesh.colors, new Uint32Array(mesh.indices), 0)];
+    }else{
+        console.log("No 32-bit index support; splitting " + vertexCount + " vertices into 16-bit chunks");
+        chunks = splitMesh(mesh).map(function(chunk){
+            return uploadChunk(gl, chunk.positions, chunk.normals, chunk.uvs, chunk.colors, chunk.indices, chunk.start);
+        });
+    }
+    return {
+        chunks: chunks,
+        groups: mesh.groups,
+        materials: {}
+    };
+}
+
+// What groups without a usemtl, or whose .mtl never loaded, are drawn
+// with: plain white under the viewer's lights, i.e. the old grey look.
+var DEFAULT_MATERIAL = {
+    ambient: [0, 0, 0],
+    diffuse: [1, 1, 1],
+    specular: [0, 0, 0],
+    shininess: 0,
+    opacity: 1,
+    texture: null
+};
+
+// Turns a material from OBJParser.parseMTL() into one drawMesh() can use,
+// loading its map_Kd from `baseURL` through handleLoadedTexture().
+function createMaterial(gl, material, baseURL){
+    var result = {
+        ambient: material.ambient,
+        diffuse: material.diffuse,
+        specular: material.specular,
+        shininess: material.shininess,
+        opacity: material.opacity,
+        texture: null
+    };
+    if(material.diffuseMap){
+        var texture = gl.createTexture();
+        texture.image = new Image();
+        texture.image.onload = function(){
+            handleLoadedTexture(texture);
+            result.texture = texture;
+        };
+        texture.image.src = baseURL + material.diffuseMap;
+    }
+    return result;
+}
+
+function applyMaterial(gl, material){
+    // Viewers whose shaders predate materials just skip this.
+    if(!shaderProgram.materialDiffuseUniform) return;
+    gl.uniform3fv(shaderProgram.materialAmbientUniform, material.ambient);
+    gl.uniform3fv(shaderProgram.materialDiffuseUniform, material.diffuse);
+    gl.uniform3fv(shaderProgram.materialSpecularUniform, material.specular);
+    gl.uniform1f(shaderProgram.materialShininessUniform, material.shininess);
+    gl.uniform1f(shaderProgram.materialOpacityUniform, material.opacity);
+    if(material.opacity < 1){
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    }else{
+        gl.disable(gl.BLEND);
+    }
+    gl.uniform1i(shaderProgram.useDiffuseMapUniform, material.texture ? 1 : 0);
+    if(material.texture){
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, material.texture);
+        gl.uniform1i(shaderProgram.diffuseMapUniform, 0);
+    }
+}
+
+// Vertex colours where the chunk has them, plain white where it doesn't.
+// Viewers whose shaders have no aVertexColor skip this too.
+function applyColors(gl, buffer){
+    var attribute = shaderProgram.vertexColorAttribute;
+    if(attribute === undefined || attribute < 0) return;
+    if(buffer){
+        gl.enableVertexAttribArray(attribute);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.vertexAttribPointer(attribute, buffer.itemSize, gl.FLOAT, false, 0, 0);
+    }else{
+        gl.disableVertexAttribArray(attribute);
+        gl.vertexAttrib3f(attribute, 1, 1, 1);
+    }
+}
+
+// Binds each chunk's attributes and draws it one material group at a time,
+// or all in `material` when one is given. Matrices and lighting uniforms
+// are the caller's business.
+function drawMesh(gl, buffers, material){
+    for(var i = 0; i < buffers.chunks.length; i++){
+        var chunk = buffers.chunks[i];
+        gl.bindBuffer(gl.ARRAY_BUFFER, chunk.position);
+        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, chunk.position.itemSize, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, chunk.normal);
+        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, chunk.normal.itemSize, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, chunk.texture);
+        gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, chunk.texture.itemSize, gl.FLOAT, false, 0, 0);
+
+        applyColors(gl, chunk.color);
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, chunk.index);
+        var bytes = chunk.index.type === gl.UNSIGNED_INT ? 4 : 2;
+        for(var g = 0; g < buffers.groups.length; g++){
+            var group = buffers.groups[g];
+            var first = Math.max(group.start, chunk.start);
+            var last = Math.min(group.start + group.count, chunk.start + chunk.count);
+            if(last <= first) continue;
+            applyMaterial(gl, material || buffers.materials[group.material] || DEFAULT_MATERIAL);
+            gl.drawElements(gl.TRIANGLES, last - first, chunk.index.type, (first - chunk.start) * bytes);
+        }
+    }
+}
@@ -7,15 +7,20 @@ var mvMatrixStack = [];
 var triangleVertexPositionBuffer;
 var squareVertexPositionBuffer;
 
-var modelLoaded = false;
-var pLoaded = false;
-
 var modelTextureLoaded = false;
 var modelTexture2Loaded = false;
 
 var zoom = -3.5;
 var scaleby = .032;
 
+// Saved with looks along with xoff, yoff and zoom.
+var lighting = {
+    ambient: [0.1, 0.1, 0.1],
+    direction: [0.0, 0.3, 0.3],
+    directional: [0.8, 0.8, 0.8],
+    position: [0.0, 0.3, 55.0]
+};
+
 var rotby = vec3.create(0,1.0,0);
 
 function initGL(canvas) {
@@ -68,13 +73,24 @@ function initGL(canvas) {
     return shader;
 }
 
+function isPowerOfTwo(n) {
+    return (n & (n - 1)) === 0;
+}
+
 function handleLoadedTexture(texture) {
     gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
     gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, texture.image);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
-    gl.generateMipmap(gl.TEXTURE_2D);
+    if (isPowerOfTwo(texture.image.width) && isPowerOfTwo(texture.image.height)) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
+        gl.generateMipmap(gl.TEXTURE_2D);
+    } else {
+        // WebGL 1 can't mipmap or repeat non power of two fabric scans.
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
     gl.bindTexture(gl.TEXTURE_2D, null);
 }
 
@@ -104,6 +120,9 @@ function initShaders() {
     shaderProgram.textureCoordAttribute = gl.getAttribLocation(shaderProgram, "aTextureCoord");
     gl.enableVertexAttribArray(shaderProgram.textureCoordAttribute);
 
+    // Only enabled for meshes that have vertex colours; see drawMesh().
+    shaderProgram.vertexColorAttribute = gl.getAttribLocation(shaderProgram, "aVertexColor");
+
     shaderProgram.pMatrixUniform = gl.getUniformLocation(shaderProgram, "uPMatrix");
     shaderProgram.mvMatrixUniform = gl.getUniformLocation(shaderProgram, "uMVMatrix");
     shaderProgram.nMatrixUniform = gl.getUniformLocation(shaderProgram, "uNMatrix");
@@ -113,6 +132,14 @@ function initShaders() {
     shaderProgram.directionalColorUniform = gl.getUniformLocation(shaderProgram, "uDirectionalColor");
     shaderProgram.lightPosition = gl.getUniformLocation(shaderProgram, "lightPosition");
     shaderProgram.lightPositionUniform = gl.getUniformLocation(shaderProgram, "lightPosition");
+
+    shaderProgram.materialAmbientUniform = gl.getUniformLocation(shaderProgram, "uMaterialAmbient");
+    shaderProgram.materialDiffuseUniform = gl.getUniformLocation(shaderProgram, "uMaterialDiffuse");
+    shaderProgram.materialSpecularUniform = gl.getUniformLocation(shaderProgram, "uMaterialSpecular");
+    shaderProgram.materialShininessUniform = gl.getUniformLocation(shaderProgram, "uMaterialShininess");
+    shaderProgram.materialOpacityUniform = gl.getUniformLocation(shaderProgram, "uMaterialOpacity");
+    shaderProgram.useDiffuseMapUniform = gl.getUniformLocation(shaderProgram, "uUseDiffuseMap");
+    shaderProgram.diffuseMapUniform = gl.getUniformLocation(shaderProgram, "uDiffuseMap");
 }
 
 
@@ -137,140 +164,60 @@ function drawScene() {
 
     mat4.perspective(pMatrix, 45, gl.viewportWidth / gl.viewportHeight, 0.1, 100.0);
 
-    mat4.identity(mvMatrix);
     if (zoom > -0.5) {
         zoom = -0.6;
     }
-    mat4.translate(mvMatrix, mvMatrix, [0, 0.0, zoom]);
+    mvMatrix = cameraMatrix();
+
+    gl.uniform3fv(shaderProgram.ambientColorUniform, lighting.ambient);
+
+    var adjustedLD = vec3.create();
+    vec3.normalize(adjustedLD, lighting.direction);
+    gl.uniform3fv(shaderProgram.lightingDirectionUniform, adjustedLD);
+
+    gl.uniform3fv(shaderProgram.directionalColorUniform, lighting.directional);
 
-    if(modelLoaded){
+    gl.uniform3fv(shaderProgram.lightPositionUniform, lighting.position);
+
+    sceneRoot.rotation = [yoff, xoff, 0.0];
+    sceneRoot.draw(gl);
+
+    if (adjusting) {
         mvPushMatrix();
-        //mat4.rotate(mvMatrix, mvMatrix, 0.3*Math.sin(xoff), [1.0, 0.0, 0.0]);
-        //mat4.rotate(mvMatrix, mvMatrix, 0.4*Math.cos(2*xoff), [0.0, 0.0, 1.0]);
-        mat4.rotate(mvMatrix, mvMatrix, xoff, [0.0, 1.0, 0.0]);
-        mat4.rotate(mvMatrix, mvMatrix, yoff, [1.0, 0.0, 0.0]);
-        mat4.rotate(mvMatrix, mvMatrix, -.5, [0.0, 1.0, 0.0]);
-        mat4.rotate(mvMatrix, mvMatrix, metarot, [0.0, 1.0, 0.0]);
-        mat4.translate(mvMatrix, mvMatrix, [-avex + metax, -avey + metay, -avez + metaz]);
-
-        //mat4.translate(mvMatrix, mvMatrix, [0, 0, 1.0]);
-        
-        //Bind Vertex Locations
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, modelVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Normals
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, modelVertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Texture Face Coords
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, modelVertexTextureBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        gl.uniform3f(
-            shaderProgram.ambientColorUniform,
-            0.1,
-            0.1,
-            0.1
-        );
-
-        var lightingDirection = [
-            0.0,
-            0.3,
-            0.3
-        ];
-        var adjustedLD = vec3.create();
-        vec3.normalize(adjustedLD, lightingDirection);
-        //vec3.scale(adjustedLD, -1);
-        gl.uniform3fv(shaderProgram.lightingDirectionUniform, adjustedLD);
-
-        gl.uniform3f(
-            shaderProgram.directionalColorUniform,
-            .8,
-            .8,
-            .8
-        );
-
-        gl.uniform3f(
-            shaderProgram.lightPositionUniform,
-            0.0,
-            0.3,
-            55.0
-        );
-        
-        //Bind Vertex Indicies and draw
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, modelVertexIndexBuffer);
-        setMatrixUniforms();
-        gl.drawArrays(gl.TRIANGLES, 0, modelVertexIndexBuffer.numItems);
-//        gl.drawElements(gl.TRIANGLES, modelVertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        headNode.applyWorldTransform(mvMatrix);
+        fitGizmo.draw(gl);
         mvPopMatrix();
-
     }
-    if(pLoaded){
+
+    if (collisionMarker) {
+        // On top of everything, or the head would hide what cuts into it.
         mvPushMatrix();
-        //mat4.rotate(mvMatrix, mvMatrix, 0.3*Math.sin(xoff), [1.0, 0.0, 0.0]);
-        //mat4.rotate(mvMatrix, mvMatrix, 0.4*Math.cos(2*xoff), [0.0, 0.0, 1.0]);
-        mat4.rotate(mvMatrix, mvMatrix, xoff, [0.0, 1.0, 0.0]);
-        mat4.rotate(mvMatrix, mvMatrix, yoff, [1.0, 0.0, 0.0]);
-        mat4.scale(mvMatrix, mvMatrix, [scaleby*metascale, scaleby*metascale, scaleby*metascale])
-
-        mat4.translate(mvMatrix, mvMatrix, [0.0, 1.4, -1.6]);
-
-        //mat4.translate(mvMatrix, mvMatrix, [0, 0, 1.0]);
-        
-        //Bind Vertex Locations
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, pVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Normals
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, pVertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        //Bind Texture Face Coords
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexTextureBuffer);
-        gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, pVertexTextureBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-        gl.uniform3f(
-            shaderProgram.ambientColorUniform,
-            0.1,
-            0.1,
-            0.1
-        );
-
-        var lightingDirection = [
-            0.0,
-            0.3,
-            0.3
-        ];
-        var adjustedLD = vec3.create();
-        vec3.normalize(adjustedLD, lightingDirection);
-        //vec3.scale(adjustedLD, -1);
-        gl.uniform3fv(shaderProgram.lightingDirectionUniform, adjustedLD);
-
-        gl.uniform3f(
-            shaderProgram.directionalColorUniform,
-            .8,
-            .8,
-            .8
-        );
-
-        gl.uniform3f(
-            shaderProgram.lightPositionUniform,
-            0.0,
-            0.3,
-            55.0
-        );
-        
-        //Bind Vertex Indicies and draw
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, pVertexIndexBuffer);
-        setMatrixUniforms();
-        //gl.drawArrays(gl.TRIANGLES, 0, modelVertexIndexBuffer.numItems);
-        gl.drawElements(gl.TRIANGLES, pVertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
+        headNode.applyWorldTransform(mvMatrix);
+        gl.disable(gl.DEPTH_TEST);
+        collisionMarker.draw(gl);
+        gl.enable(gl.DEPTH_TEST);
         mvPopMatrix();
-        //gl.drawArrays(gl.TRIANGLES, 0, modelVertexIndexBuffer.numItems);
     }
 }
 
+function cameraMatrix() {
+    var matrix = mat4.create();
+    mat4.translate(matrix, matrix, [0, 0.0, zoom]);
+    return matrix;
+}
+
+// Where a point in the head's coordinates lands on the canvas, in pixels
+// from the top left.
+function projectToCanvas(point) {
+    var matrix = mat4.multiply(mat4.create(), pMatrix, cameraMatrix());
+    headNode.applyWorldTransform(matrix);
+    var p = vec4.transformMat4(vec4.create(), [point[0], point[1], point[2], 1.0], matrix);
+    return [
+        (p[0] / p[3] + 1) / 2 * gl.viewportWidth,
+        (1 - p[1] / p[3]) / 2 * gl.viewportHeight
+    ];
+}
+
 function customInvert43(matrix){
     var returnmat = mat3.create(); 
     mat3.fromMat4(returnmat, matrix);
@@ -285,6 +232,7 @@ function webGLStart() {
     initGL(canvas);
     initShaders();
     initScene();
+    fitGizmo.build(gl);
     canvas.addEventListener('mousewheel', onMouseWheel, false);
     canvas.addEventListener('mouseover', function() {
       overRenderer = true;
@@ -293,8 +241,9 @@ function webGLStart() {
       overRenderer = false;
     }, false);
     initMouseGestures();
-    //getModelFromFile(modelURL2, false);
-    getModelFromFile(modelURL, true);
+    initFitKeys();
+    getModelFromFile(modelURL, true, null, levelURL(modelLevels, canvas));
+    if (savedLook) openLook(savedLook);
 
 
     gl.clearColor(1.0, 1.0, 1.0, 1.0);
@@ -307,29 +256,40 @@ function initMouseGestures() {
     var mousedown = false;
     var canvas = $('#my-canvas');
     var coord = {x:0, y:0};
+    // In adjustment mode, dragging a handle moves the accessory instead of
+    // orbiting the head.
+    var dragging = false;
     console.log(canvas);
     canvas.mousedown(function(event){
         console.log(event);
         mousedown = true;
         coord.x = event.offsetX;
         coord.y = event.offsetY;
+        dragging = adjusting && fitGizmo.pick(projectToCanvas, coord.x, coord.y);
     });
     canvas.mouseup(function(){
         mousedown = false;
+        dragging = false;
+        fitGizmo.release();
     });
     canvas.mouseout(function(){
         mousedown = false;
+        dragging = false;
+        fitGizmo.release();
     });
     canvas.mousemove(function(event){
-        console.log(mousedown);
         if(mousedown){
             var xdiff = event.offsetX - coord.x;
             var ydiff = event.offsetY - coord.y;
             coord.y = event.offsetY;
             coord.x = event.offsetX;
-            xoff += .01*xdiff;
-            yoff += .01*ydiff;
-            console.log("rotating");
+            if(dragging){
+                fitGizmo.drag(projectToCanvas, xdiff, ydiff);
+                clearCollision();
+            }else{
+                xoff += .01*xdiff;
+                yoff += .01*ydiff;
+            }
         }
 
     });
@@ -353,15 +313,11 @@ function tick(){
     requestAnimFrame(tick);
 }
 
-var modelVertexPositionBuffer;
-var modelVertexTextureBuffer;
-var modelVertexIndexBuffer;
-var modelVertexNormalBuffer;
-
-var pVertexPositionBuffer;
-var pVertexTextureBuffer;
-var pVertexIndexBuffer;
-var pVertexNormalBuffer;
+// The mouse orbits the root, the head hangs off the root and everything the
+// customer puts on hangs off the head, one node per slot ("hat", "glasses").
+var sceneRoot = new SceneNode("root");
+var headNode = sceneRoot.add(new SceneNode("head"));
+var accessories = {};
 
 var metax = 0;
 var metay = 0;
@@ -373,305 +329,449 @@ var avex = 0;
 var avey = 0;
 var avez = 0;
 
-var maxx = 0;
-var minx = 0;
-var maxy = 0;
-var miny = 0;
-var maxz = 0;
-var minz = 0;
-function finishedModelDownload(data, isModel){
-    //debugger
-
-    var text= String(data);
-    var lines = text.split(/\n/);
-    var normalAccumilator = new Array();
-    var vertices = new Array();
-    var faces = new Array();
-    var normals = [];
-    var vertex_pattern = /v( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var normal_pattern = /vn( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var uv_pattern = /vt( +[\d|\.|\+|\-|e]+)( +[\d|\.|\+|\-|e]+)/;
-    var face_pattern1 = /f( +\d+)( +\d+)( +\d+)( +\d+)?/;
-    var face_pattern2 = /f( +(\d+)\/(\d+))( +(\d+)\/(\d+))( +(\d+)\/(\d+))( +(\d+)\/(\d+))?/;
-    var face_pattern3 = /f( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))( +(\d+)\/(\d+)\/(\d+))?/;
-    var face_pattern4 = /f( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))( +(\d+)\/\/(\d+))?/;
-
-    var vc = 0;
-    
-    for(var i =0; i < lines.length; i++){
-        var line = lines[i];
-        if(line[0] == 'v' && line[1] == ' '){
-            lineshit = line.split(" ");
-            if(lineshit.length != 4) console.log("holly shittt");
-            vertices.push(parseFloat( lineshit[ 1 ] ));
-            vertices.push(parseFloat( lineshit[ 2 ] ));
-            vertices.push(parseFloat( lineshit[ 3 ] ));
-            avex += parseFloat( lineshit[ 1 ] );
-            avey += parseFloat( lineshit[ 2 ] );
-            avez += parseFloat( lineshit[ 3 ] );
-            normalAccumilator.push(vec3.create(0,0,0));
-            maxx = Math.max(maxx, lineshit[ 1 ]);
-            maxz = Math.max(maxz, lineshit[ 3 ]);
-            minx = Math.min(minx, lineshit[ 1 ]);
-            minz = Math.min(minz, lineshit[ 3 ]);
-            miny = Math.min(miny, lineshit[ 2 ]);
-            maxy = Math.max(maxy, lineshit[ 2 ]);
-            vc++;
-        }
-        if(line[0] === '#' && line[1] === '#' && line[2] === '#'){
-            lineshit = line.split(" ");
-            if(isModel){
-                metax = parseFloat( lineshit[1]);
-                metay = parseFloat( lineshit[2]);
-                metaz = parseFloat( lineshit[3]);
-                metarot = parseFloat( lineshit[4]);
-                metascale = parseFloat( lineshit[5]);
+// Fetches every mtllib the mesh names (relative to the model's own URL) and
+// fills in buffers.materials; groups draw with the default material until
+// theirs arrives.
+function loadMaterials(buffers, mesh, modelURL){
+    var baseURL = modelURL.substring(0, modelURL.lastIndexOf('/') + 1);
+    mesh.materials.forEach(function(file){
+        $.ajax({
+            url: baseURL + file,
+            type: "GET",
+            dataType: "text",
+            success: function(text) {
+                var materials = OBJParser.parseMTL(text);
+                for (var name in materials) {
+                    buffers.materials[name] = createMaterial(gl, materials[name], baseURL);
+                }
+            },
+            error: function() {
+                console.log("Couldn't load materials from " + baseURL + file);
             }
-            console.log(lineshit);
+        });
+    });
+}
 
-            // ### x y z yrot scale 
+// Anchor metadata (see anchors.js) lives next to each model as <name>.json.
+// Calls back with null when a model has none or it doesn't validate.
+function loadAnchors(modelURL, callback){
+    $.ajax({
+        url: modelURL.replace(/\.obj$/i, ".json"),
+        type: "GET",
+        dataType: "json",
+        success: function(meta) {
+            var problems = Anchors.validate(meta);
+            if (problems.length) {
+                console.log("Ignoring anchors for " + modelURL + ": " + problems.join("; "));
+                meta = null;
+            }
+            callback(meta);
+        },
+        error: function() {
+            callback(null);
         }
-        else if(line.length === 0 || line[0] === '#'){
-            continue;
+    });
+}
+
+// Placements saved with saveFit(); the page fills this in for its head.
+var savedFits = [];
+
+function savedFitFor(accessoryName){
+    for (var i = 0; i < savedFits.length; i++) {
+        if (savedFits[i].accessory === accessoryName) return savedFits[i];
+    }
+    return null;
+}
+
+// The head's anchors; estimated from its bounding box when it has none.
+var headAnchors = null;
+
+// Placements (from Anchors.fit(), AutoFit.fit() or a saved fit) are in the
+// head mesh's own coordinates, which headNode shifts by its meshOffset.
+function applyPlacement(node, placement){
+    clearCollision();
+    node.position = [0, 1, 2].map(function(k){ return placement.position[k] + headNode.meshOffset[k]; });
+    node.rotation = placement.rotation.slice();
+    node.scale = placement.scale;
+    node.meshOffset = placement.offset.slice();
+}
+
+function currentPlacement(node){
+    return {
+        position: [0, 1, 2].map(function(k){ return node.position[k] - headNode.meshOffset[k]; }),
+        rotation: node.rotation.slice(),
+        scale: node.scale,
+        offset: node.meshOffset.slice()
+    };
+}
+
+// Snaps an accessory's anchor point onto the matching head landmark. Until
+// both sides have anchors (or for accessories that never will) it falls
+// back to the old fixed scale and offset. A placement saved for this head,
+// by hand or precomputed by the server's auto fit, beats both.
+function fitAccessory(node){
+    var fit = lookFits[node.accessoryName] || savedFitFor(node.accessoryName) ||
+        (headAnchors && node.anchors ? Anchors.fit(headAnchors, node.anchors) : null);
+    if (!fit) {
+        node.position = [0.0, 0.0, 0.0];
+        node.rotation = [0.0, 0.0, 0.0];
+        node.scale = scaleby * metascale;
+        node.meshOffset = [0.0, 1.4, -1.6];
+        return;
+    }
+    applyPlacement(node, fit);
+}
+
+// Works the placement out from the shapes of the head and the hat (see
+// auto-fit.js) instead of from anchors. Measurements are kept on the nodes
+// until their mesh or anchors change.
+function autoFit(slot){
+    var node = accessories[slot];
+    if (!node || !headNode.mesh) {
+        $("#fit-status").text("Put something on first.");
+        return;
+    }
+    headNode.analysis = headNode.analysis || AutoFit.analyseHead(headNode.mesh, headAnchors);
+    node.analysis = node.analysis || AutoFit.analyseHat(node.mesh, node.anchors);
+    var fit = AutoFit.fit(headNode.analysis, node.analysis);
+    if (!fit) {
+        $("#fit-status").text("Couldn't work out how the " + slot + " fits.");
+        return;
+    }
+    applyPlacement(node, fit);
+    $("#fit-status").text("Fitted. Save the fit to keep it.");
+}
+
+function finishedModelDownload(mesh, isModel, modelURL, slot){
+    console.log("verts: " + mesh.positions.length / 3 + " tris: " + mesh.indices.length / 3);
+
+    if(isModel){
+        if(mesh.meta){
+            metax = mesh.meta.x;
+            metay = mesh.meta.y;
+            metaz = mesh.meta.z;
+            metarot = mesh.meta.rot;
+            metascale = mesh.meta.scale;
         }
-        else if ( ( result = vertex_pattern.exec( line ) ) !== null ) {
-            // ["v 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
-            /*scene.vertices.push(parseFloat( result[ 1 ] ));
-            scene.vertices.push(parseFloat( result[ 2 ] ));
-            scene.vertices.push(parseFloat( result[ 3 ] ));
-            normalAccumilator.push(vec3.create(0,0,0));*/
-
-
-        } else if ( ( result = normal_pattern.exec( line ) ) !== null ) {
-            //["vn 1.0 2.0 3.0", "1.0", "2.0", "3.0"]
-            normals.push(parseFloat( result[1]));
-            normals.push(parseFloat( result[2]));
-            normals.push(parseFloat( result[3]));
-
-        } else if ( ( result = uv_pattern.exec( line ) ) !== null ) {
-            // ["vt 0.1 0.2", "0.1", "0.2"]
-        } 
-        else if ( ( result = face_pattern1.exec( line ) ) !== null ) {
-            // just a mesh, no textures or normals
-            // ["f 1 2 3", "1", "2", "3", undefined]
-            if ( result[ 4 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[2] )-1,parseInt( result[3] )-1);
-                faces.push(tempFace);        
+        avex = mesh.center[0];
+        avey = mesh.center[1];
+        avez = mesh.center[2];
+
+        headNode.setMesh(mesh, uploadMesh(gl, mesh));
+        headNode.analysis = null;
+        headNode.collisionGrid = null;
+        clearCollision();
+        headNode.rotation = [0.0, -.5 + metarot, 0.0];
+        headNode.meshOffset = [-avex + metax, -avey + metay, -avez + metaz];
+        loadMaterials(headNode.buffers, mesh, modelURL);
+        loadAnchors(modelURL, function(meta){
+            if (meta && meta.kind === "head") {
+                // Turn the head to face the camera the way its anchors say.
+                headNode.rotation = Anchors.toEuler(Anchors.rotationBetween(meta, {}));
+                headAnchors = meta;
             } else {
-                var tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[2] )-1,parseInt( result[3] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[3] )-1,parseInt( result[4] )-1);
-                faces.push(tempFace);
+                headAnchors = Anchors.estimateHead(mesh);
             }
-        }
-         else if ( ( result = face_pattern2.exec( line ) ) !== null ) {
-            // ["f 1/1 2/2 3/3", " 1/1", "1", "1", " 2/2", "2", "2", " 3/3", "3", "3", undefined, undefined, undefined]
-            if ( result[ 10 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);        
-            } else {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[8] )-1,parseInt( result[11] )-1);
-                faces.push(tempFace);
+            headNode.analysis = null;
+            for (var name in accessories) {
+                fitAccessory(accessories[name]);
             }
+        });
+    }else{
+        var node = accessories[slot] || headNode.add(new SceneNode(slot));
+        accessories[slot] = node;
+        node.setMesh(mesh, uploadMesh(gl, mesh));
+        node.modelURL = modelURL;
+        node.accessoryName = modelURL.substring(modelURL.lastIndexOf("/") + 1).replace(/\.obj$/i, "");
+        node.anchors = null;
+        node.analysis = null;
+        node.visible = true;
+        fitAccessory(node);
+        loadMaterials(node.buffers, mesh, modelURL);
+        loadAnchors(modelURL, function(meta){
+            // Something else may have gone into the slot meanwhile.
+            if (node.modelURL !== modelURL) return;
+            node.anchors = meta && meta.kind === "accessory" ? meta : null;
+            node.analysis = null;
+            fitAccessory(node);
+        });
+    }
+}
 
-        } else if ( ( result = face_pattern3.exec( line ) ) !== null ) {
-            if ( result[ 13 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[6] )-1,parseInt( result[10] )-1);
-                faces.push(tempFace);        
-            } else {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[6] )-1,parseInt( result[10] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[10] )-1,parseInt( result[14] )-1);
-                faces.push(tempFace);
-            }
-            // ["f 1/1/1 2/2/2 3/3/3", " 1/1/1", "1", "1", "1", " 2/2/2", "2", "2", "2", " 3/3/3", "3", "3", "3", undefined, undefined, undefined, undefined]
+// Puts the accessory at modelURL on the head, replacing whatever was in
+// the same slot. Accessories in other slots stay on.
+function putOn(modelURL, slot){
+    getModelFromFile(modelURL, false, slot || "hat");
+}
 
-        } else if ( ( result = face_pattern4.exec( line ) ) !== null ) {
-            if ( result[ 10 ] === undefined ) {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);        
-            } else {
-                var tempFace = vec3.fromValues(parseInt( result[2] )-1,parseInt( result[5] )-1,parseInt( result[8] )-1);
-                faces.push(tempFace);
-                tempFace = vec3.fromValues(parseInt( result[1] )-1,parseInt( result[8] )-1,parseInt( result[11] )-1);
-                faces.push(tempFace);
-            }
+function takeOff(slot){
+    clearCollision();
+    if (accessories[slot]) {
+        headNode.remove(accessories[slot]);
+        delete accessories[slot];
+    }
+}
+
+// Adjustment mode: handles on the accessory in `slot` for placing it by
+// hand, T/R/S to switch between moving, turning and resizing, and the
+// arrow keys (X and Y) and Page Up/Down (Z) to nudge. Hold shift for
+// bigger steps.
+var fitGizmo = new FitGizmo();
+var adjusting = false;
+
+function toggleAdjusting(slot){
+    var node = accessories[slot];
+    clearCollision();
+    if (adjusting || !node) {
+        adjusting = false;
+        fitGizmo.detach();
+        $("#fit-status").text(node ? "" : "Put something on first.");
+        return;
+    }
+    // Handles about a third of the head's size, whatever units it is in.
+    var bbox = headNode.mesh ? headNode.mesh.bbox : {min: [0, 0, 0], max: [1, 1, 1]};
+    var size = Math.max(bbox.max[0] - bbox.min[0], bbox.max[1] - bbox.min[1], bbox.max[2] - bbox.min[2]);
+    fitGizmo.attach(node, size / 3);
+    adjusting = true;
+    $("#fit-status").text("Adjusting the " + slot + ".");
+}
 
-            // ["f 1//1 2//2 3//3", " 1//1", "1", "1", " 2//2", "2", "2", " 3//3", "3", "3", undefined, undefined, undefined]
-        } else if ( /^o /.test( line ) ) {            
-            // object
-        } else if ( /^g /.test( line ) ) {
-            // group
-        } else if ( /^usemtl /.test( line ) ) {
-            // material
-            //material.name = line.substring( 7 ).trim();
-        } else if ( /^mtllib /.test( line ) ) {
-            // mtl file
-        } else if ( /^s /.test( line ) ) {
-            // smooth shading
+function initFitKeys(){
+    var axes = {37: [0, -1], 39: [0, 1], 38: [1, 1], 40: [1, -1], 33: [2, -1], 34: [2, 1]};
+    var modes = {84: "translate", 82: "rotate", 83: "scale"};
+    $(document).keydown(function(event){
+        if (!adjusting || $(event.target).is("input, select, textarea")) return;
+        if (modes[event.which]) {
+            fitGizmo.setMode(modes[event.which]);
+        } else if (axes[event.which]) {
+            var step = event.shiftKey ? 0.1 : 0.01;
+            fitGizmo.adjust(axes[event.which][0], axes[event.which][1] * step);
+            clearCollision();
         } else {
-           // console.log( "THREE.OBJLoader: Unhandled line " + line );
+            return;
         }
+        event.preventDefault();
+    });
+}
+
+// Stores the accessory in `slot`'s current placement for this head, so the
+// next visit to /view/:filename puts it back the same way.
+function saveFit(slot){
+    var node = accessories[slot];
+    if (!node) {
+        $("#fit-status").text("Put something on first.");
+        return;
     }
-    avex = avex / vc;
-    avey = avey / vc;
-    avez = avez / vc;
-    console.log(faces.length);
-    console.log("norm: " + normalAccumilator.length);
-    console.log("verts: " + vertices.length);
-    console.log("actual vc: " + vc);
-    console.log("xrange: " + minx + " < -- > " + maxx);
-    console.log("yrange: " + miny + " < -- > " + maxy);
-    console.log("zrange: " + minz + " < -- > " + maxz);
-    console.log("ave: " + avex + " " + avey + " " + avez);
-
-    console.log(faces[0]);
-    console.log(faces[1]);
-
-    console.log(vertices[0] + " " + vertices[1]);
-
-    for(var i = 0; i < faces.length; i++){
-        var currFace = faces[i];
-        var vec12 = vec3.fromValues(
-            vertices[currFace[1]*3]-vertices[currFace[0]*3],
-            vertices[currFace[1]*3+1]-vertices[currFace[0]*3+1],
-            vertices[currFace[1]*3+2]-vertices[currFace[0]*3+2]);
-        var vec23 = vec3.fromValues(
-            vertices[currFace[2]*3]-vertices[currFace[1]*3],
-            vertices[currFace[2]*3+1]-vertices[currFace[1]*3+1],
-            vertices[currFace[2]*3+2]-vertices[currFace[1]*3+2]);
-        var cross12_23 = vec3.create();
-        vec3.cross(cross12_23, vec12, vec23);
-        if(currFace == null) console.log("broken");
-        try{
-            vec3.add(normalAccumilator[currFace[0]], normalAccumilator[currFace[0]], cross12_23);
-            vec3.add(normalAccumilator[currFace[1]], normalAccumilator[currFace[1]], cross12_23);
-            vec3.add(normalAccumilator[currFace[2]], normalAccumilator[currFace[2]], cross12_23);
-        }catch(e){
-            console.log(normalAccumilator[currFace[0]]);
-            console.log(currFace[0] + " " + currFace[1] + " " + currFace[2]);
-        }   
-    }
-
-    for(var i = 0; i < normalAccumilator.length; i++){
-        vec3.normalize(normalAccumilator[i],normalAccumilator[i]);
+    var placement = currentPlacement(node);
+    placement.accessory = node.accessoryName;
+    placement.slot = slot;
+    $.ajax({
+        url: "/view/" + encodeURIComponent(headName) + "/fits",
+        type: "POST",
+        contentType: "application/json",
+        dataType: "json",
+        data: JSON.stringify(placement),
+        success: function(fit) {
+            savedFits = savedFits.filter(function(f){ return f.accessory !== fit.accessory; });
+            savedFits.push(fit);
+            $("#fit-status").text("Fit saved.");
+        },
+        error: function(xhr) {
+            var body = xhr.responseJSON || {};
+            $("#fit-status").text(body.error || "Couldn't save the fit.");
+        }
+    });
+}
+
+// Checks whether the accessory in `slot` cuts into the head where it sits
+// now (see collision.js) and marks the vertices that do in red.
+var collisionMarker = null;
+var COLLISION_MARKER_COLOR = [1.0, 0.1, 0.1];
+
+// Enough markers to show the region without building a huge mesh.
+var COLLISION_MARKERS = 400;
+
+function clearCollision(){
+    collisionMarker = null;
+}
+
+function checkFit(slot){
+    var node = accessories[slot];
+    clearCollision();
+    if (!node || !headNode.mesh) {
+        $("#fit-status").text("Put something on first.");
+        return;
+    }
+    headNode.collisionGrid = headNode.collisionGrid || Collision.buildGrid(headNode.mesh);
+    var result = Collision.check(headNode.mesh, node.mesh, currentPlacement(node), headAnchors, headNode.collisionGrid);
+    if (!result.penetrating) {
+        $("#fit-status").text("The " + slot + " doesn't cut into the head.");
+        return;
     }
 
-    if(isModel){
-        modelVertexNormalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexNormalBuffer);
-        var vertexNormals = [];
-        for(var i = 0; i < normalAccumilator.length; i++){
-            vertexNormals.push(normalAccumilator[i][0]);
-            vertexNormals.push(normalAccumilator[i][1]);
-            vertexNormals.push(normalAccumilator[i][2]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertexNormals), gl.STATIC_DRAW);
-        modelVertexNormalBuffer.itemSize = 3;
-        modelVertexNormalBuffer.numItems = normalAccumilator.length;
-
-        modelVertexPositionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexPositionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
-        modelVertexPositionBuffer.itemSize = 3;
-        modelVertexPositionBuffer.numItems = vertices.length/3;
-
-
-        modelVertexTextureBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, modelVertexTextureBuffer);
-        var textureCoords = [
-          // Front
-        ];
-        var texture = [];
-        for(var i = 0; i < vertices.length/3; i++){
-            texture.push(textureCoords[i%textureCoords.length]);
-            texture.push(textureCoords[i%textureCoords.length+1]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texture), gl.STATIC_DRAW);
-        modelVertexTextureBuffer.itemSize = 2;
-        modelVertexTextureBuffer.numItems = vertices.length/3;
-
-
-        modelVertexIndexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, modelVertexIndexBuffer);
-        var modelVertexIndices = [];
-        for (var i = 0; i < faces.length; i++) {
-            var face = faces[i];
-            modelVertexIndices.push(face[0]);
-            modelVertexIndices.push(face[1]);
-            modelVertexIndices.push(face[2]);
-        }
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(modelVertexIndices), gl.STATIC_DRAW);
-        modelVertexIndexBuffer.itemSize = 1;
-        modelVertexIndexBuffer.numItems = modelVertexIndices.length;
-        modelLoaded = true;
+    var half = headNode.collisionGrid.size / 200;
+    var step = Math.max(1, Math.ceil(result.vertices.length / COLLISION_MARKERS));
+    var positions = [], normals = [], indices = [];
+    for (var i = 0; i < result.vertices.length; i += step) {
+        var v = result.vertices[i];
+        var box = boxMesh([v[0] - half, v[1] - half, v[2] - half], [v[0] + half, v[1] + half, v[2] + half]);
+        var base = positions.length / 3;
+        Array.prototype.push.apply(positions, box.positions);
+        Array.prototype.push.apply(normals, box.normals);
+        for (var k = 0; k < box.indices.length; k++) indices.push(base + box.indices[k]);
+    }
+    var mesh = {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        uvs: new Float32Array(positions.length / 3 * 2),
+        indices: new Uint32Array(indices),
+        groups: [{name: null, material: null, start: 0, count: indices.length}],
+        materials: []
+    };
+    // The vertices are in the head mesh's coordinates, which headNode
+    // draws shifted by its meshOffset.
+    collisionMarker = new SceneNode("collision");
+    collisionMarker.position = headNode.meshOffset.slice();
+    collisionMarker.setMesh(mesh, uploadMesh(gl, mesh));
+    collisionMarker.material = flatMaterial(COLLISION_MARKER_COLOR);
+    $("#fit-status").text("The " + slot + " cuts " + result.maxDepth.toFixed(2) + " into the " +
+        result.region.side + " of the head (" + result.count + " points).");
+}
 
-    }else{
-        pVertexNormalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexNormalBuffer);
-        var vertexNormals = [];
-        for(var i = 0; i < normalAccumilator.length; i++){
-            vertexNormals.push(normalAccumilator[i][0]);
-            vertexNormals.push(normalAccumilator[i][1]);
-            vertexNormals.push(normalAccumilator[i][2]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertexNormals), gl.STATIC_DRAW);
-        pVertexNormalBuffer.itemSize = 3;
-        pVertexNormalBuffer.numItems = normalAccumilator.length;
-
-        pVertexPositionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexPositionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
-        pVertexPositionBuffer.itemSize = 3;
-        pVertexPositionBuffer.numItems = vertices.length/3;
-
-
-        pVertexTextureBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, pVertexTextureBuffer);
-        var textureCoords = [
-          // Front face
-        ];
-        var texture = [];
-        for(var i = 0; i < vertices.length/3; i++){
-            texture.push(textureCoords[i%textureCoords.length]);
-            texture.push(textureCoords[i%textureCoords.length+1]);
-        }
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texture), gl.STATIC_DRAW);
-        pVertexTextureBuffer.itemSize = 2;
-        pVertexTextureBuffer.numItems = vertices.length/3;
-
-
-        pVertexIndexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, pVertexIndexBuffer);
-        var modelVertexIndices = [];
-        for (var i = 0; i < faces.length; i++) {
-            var face = faces[i];
-            modelVertexIndices.push(face[0]);
-            modelVertexIndices.push(face[1]);
-            modelVertexIndices.push(face[2]);
-        }
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(modelVertexIndices), gl.STATIC_DRAW);
-        pVertexIndexBuffer.itemSize = 1;
-        pVertexIndexBuffer.numItems = modelVertexIndices.length;
-        pLoaded = true;
+// Looks: the head, what is on it and where, the camera and the lights,
+// saved under the customer's account and opened again with
+// /view/:filename?look=<id>.
+var savedLook = null;
+
+// Placements from the open look, by accessory name. They beat saved fits
+// for as long as the page is open.
+var lookFits = {};
+
+function currentLook(name){
+    var worn = [];
+    for (var slot in accessories) {
+        var node = accessories[slot];
+        if (!node.visible || !node.accessoryName) continue;
+        var placement = currentPlacement(node);
+        placement.accessory = node.accessoryName;
+        placement.slot = slot;
+        worn.push(placement);
     }
+    return {
+        name: name,
+        head: headName,
+        accessories: worn,
+        camera: {xoff: xoff, yoff: yoff, zoom: zoom},
+        lighting: lighting
+    };
 }
-function getModelFromFile(modelURL, mainModel){
-    var canvas = $('#my-canvas');
+
+function saveLook(name){
     $.ajax({
-        url: modelURL,
-        type: "GET",
-        dataType: "text/html",
-        success: function() { console.log("hello?")},
-        complete: function(data) {
-            
-            finishedModelDownload(data.responseText, mainModel);
+        url: "/looks",
+        type: "POST",
+        contentType: "application/json",
+        dataType: "json",
+        data: JSON.stringify(currentLook(name)),
+        success: function(look) {
+            savedLook = look;
+            $("#fit-status").html($("<a>").attr("href", "/looks/" + look._id).text("Look saved."));
+        },
+        error: function(xhr) {
+            var body = xhr.responseJSON || {};
+            $("#fit-status").text(xhr.status === 401 ? "Log in to save looks." : body.error || "Couldn't save the look.");
+        }
+    });
+}
+
+// Makes a share link for the saved look. The link is private until its
+// owner opts in on the share page.
+function shareLook(){
+    if (!savedLook || !savedLook._id) {
+        $("#fit-status").text("Save the look before sharing it.");
+        return;
+    }
+    $.ajax({
+        url: "/looks/" + encodeURIComponent(savedLook._id) + "/shares",
+        type: "POST",
+        contentType: "application/json",
+        dataType: "json",
+        data: JSON.stringify({public: false}),
+        success: function(share) {
+            $("#fit-status").html($("<a>").attr("href", share.url).text("Share link made."));
+        },
+        error: function(xhr) {
+            var body = xhr.responseJSON || {};
+            $("#fit-status").text(body.error || "Couldn't share the look.");
+        }
+    });
+}
 
+function openLook(look){
+    xoff = look.camera.xoff;
+    yoff = look.camera.yoff;
+    zoom = look.camera.zoom;
+    lighting = look.lighting;
+    for (var slot in accessories) takeOff(slot);
+    lookFits = {};
+    look.accessories.forEach(function(item){
+        lookFits[item.accessory] = item;
+        putOn("/models/" + item.accessory + ".obj", item.slot || "hat");
+    });
+}
+
+function setAccessoryVisible(slot, visible){
+    if (accessories[slot]) accessories[slot].visible = visible;
+}
+// The simplest of a model's levels of detail (see lib/lods.js) that still
+// looks right on `canvas`.
+function levelURL(levels, canvas){
+    var size = Math.max(canvas.width, canvas.height) * (window.devicePixelRatio || 1);
+    var best = levels[0];
+    levels.forEach(function(level){
+        if (level.pixels !== null && level.pixels >= size) best = level;
+    });
+    return best.url;
+}
+
+// Fetches the binary copy of an OBJ (see mesh-codec.js) and calls back
+// with the decoded mesh, or null if there is no usable one. jQuery can't
+// hand back an ArrayBuffer, hence the plain XMLHttpRequest.
+function getBinaryMesh(objURL, callback){
+    var request = new XMLHttpRequest();
+    request.open("GET", objURL.replace(/\.obj$/i, ".mesh"));
+    request.responseType = "arraybuffer";
+    request.onload = function() {
+        if (request.status !== 200 || !request.response) return callback(null);
+        try {
+            callback(MeshCodec.decode(request.response));
+        } catch (e) {
+            console.log("Ignoring the binary copy of " + objURL + ": " + e.message);
+            callback(null);
         }
+    };
+    request.onerror = function() {
+        callback(null);
+    };
+    request.send();
+}
+
+// Fetches the model at modelURL, or its geometry from geometryURL (one of
+// its levels of detail) when given; materials and anchors still come from
+// next to modelURL. The binary copy is tried first, then the OBJ.
+function getModelFromFile(modelURL, mainModel, slot, geometryURL){
+    var url = geometryURL || modelURL;
+    getBinaryMesh(url, function(mesh) {
+        if (mesh) return finishedModelDownload(mesh, mainModel, modelURL, slot || "hat");
+        $.ajax({
+            url: url,
+            type: "GET",
+            dataType: "text",
+            success: function(text) {
+                finishedModelDownload(OBJParser.parse(text), mainModel, modelURL, slot || "hat");
+            }
+        });
     });
-    //$.get(modelURL, finishedModelDownload, 'text')
 }
 
 function face(_v1, _v2, _v3){
@@ -724,5 +824,5 @@ function render(a){
     initBuffers();
     initScene();
     //initTexture();
-    modelLoaded = false;
+    headNode.setMesh(null, null);
 }
\ No newline at end of file
@@ -0,0 +1,368 @@
+// Standalone OBJ parser shared by the viewers in public/, fb/ and Market/ and
+// by the server side tooling in lib/. It only turns text into a plain mesh
+// object; putting that mesh on the GPU is mesh-renderer.js's job.
+//
+// Usable as a <script> (exposes window.OBJParser) or through require().
+(function(root, factory){
+    if(typeof module === 'object' && module.exports){
+        module.exports = factory();
+    }else{
+        root.OBJParser = factory();
+    }
+}(this, function(){
+
+    // parse(text) returns
+    // {
+    //     positions: Float32Array,  // x, y, z per vertex
+    //     normals: Float32Array,    // x, y, z per vertex
+    //     uvs: Float32Array,        // u, v per vertex
+    //     colors: Float32Array or null,  // r, g, b per vertex, from "v x y z r g b"
+    //     indices: Uint32Array,     // three per triangle
+    //     groups: [{name, material, start, count}],  // ranges of indices
+    //     materials: ["Bowler.mtl"],                 // mtllib files
+    //     bbox: {min: [x, y, z], max: [x, y, z]},
+    //     center: [x, y, z],        // vertex average
+    //     meta: {x, y, z, rot, scale} or null        // the "### x y z yrot scale" line
+    // }
+    //
+    // GL wants one index per vertex, while an OBJ face corner can pick its
+    // position, texture coordinate and normal independently. Every distinct
+    // "v/vt/vn" combination therefore becomes its own output vertex. Normals
+    // the file doesn't supply are computed by smoothing over the faces that
+    // share a position, so uv seams don't turn into lighting seams.
+    function parse(text){
+        var lines = String(text).split(/\r?\n/);
+        var vertices = [];
+        var vertexColors = [];
+        var hasColors = false;
+        var textureCoords = [];
+        var fileNormals = [];
+        var positions = [];
+        var uvs = [];
+        var colors = [];
+        var normals = [];
+        var sources = [];
+        var missingNormals = false;
+        var corners = Object.create(null);
+        var indices = [];
+        var groups = [];
+        var materials = [];
+        var meta = null;
+        var group = null;
+
+        var startGroup = function(name, material){
+            if(group && group.count === 0) groups.pop();
+            group = {
+                name: name,
+                material: material,
+                start: indices.length,
+                count: 0
+            };
+            groups.push(group);
+        };
+        startGroup('default', null);
+
+        var resolve = function(token, count){
+            if(token === undefined || token === '') return -1;
+            var index = parseInt(token, 10);
+            return index < 0 ? count + index : index - 1;
+        };
+
+        // Keyed on resolved indices: a relative "-1" means a different vertex
+        // on every face it appears in.
+        var corner = function(token){
+            var refs = token.split('/');
+            var v = resolve(refs[0], vertices.length / 3);
+            var t = resolve(refs[1], textureCoords.length / 2);
+            var n = resolve(refs[2], fileNormals.length / 3);
+            var key = v + '/' + t + '/' + n;
+            if(corners[key] !== undefined) return corners[key];
+            var index = sources.length;
+            sources.push(v);
+            positions.push(vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]);
+            colors.push(vertexColors[v * 3], vertexColors[v * 3 + 1], vertexColors[v * 3 + 2]);
+            if(t >= 0) uvs.push(textureCoords[t * 2], textureCoords[t * 2 + 1]);
+            else uvs.push(0, 0);
+            if(n >= 0){
+                normals.push(fileNormals[n * 3], fileNormals[n * 3 + 1], fileNormals[n * 3 + 2]);
+            }else{
+                normals.push(NaN, NaN, NaN);
+                missingNormals = true;
+            }
+            corners[key] = index;
+            return index;
+        };
+
+        for(var i = 0; i < lines.length; i++){
+            var line = lines[i].trim();
+            if(line.length === 0) continue;
+
+            // ### x y z yrot scale
+            if(line.indexOf('###') === 0){
+                var values = line.substring(3).trim().split(/\s+/).map(parseFloat);
+                meta = {
+                    x: values[0] || 0,
+                    y: values[1] || 0,
+                    z: values[2] || 0,
+                    rot: values[3] || 0,
+                    scale: isNaN(values[4]) ? 1 : values[4]
+                };
+                continue;
+            }
+            if(line[0] === '#') continue;
+
+            var parts = line.split(/\s+/);
+            switch(parts[0]){
+                case 'v':
+                    vertices.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                    // Vertices without a colour in a file that has some
+                    // are white.
+                    if(parts.length >= 7){
+                        vertexColors.push(parseFloat(parts[4]), parseFloat(parts[5]), parseFloat(parts[6]));
+                        hasColors = true;
+                    }else{
+                        vertexColors.push(1, 1, 1);
+                    }
+                    break;
+                case 'vt':
+                    textureCoords.push(parseFloat(parts[1]), parseFloat(parts[2]));
+                    break;
+                case 'vn':
+                    fileNormals.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                    break;
+                case 'f':
+                    var polygon = [];
+                    for(var c = 1; c < parts.length; c++){
+                        polygon.push(corner(parts[c]));
+                    }
+                    var triangles = triangulate(positions, polygon);
+                    for(var t = 0; t < triangles.length; t++){
+                        indices.push(polygon[triangles[t]]);
+                    }
+                    group.count += triangles.length;
+                    break;
+                case 'g':
+                case 'o':
+                    startGroup(parts.slice(1).join(' ') || 'default', group.material);
+                    break;
+                case 'usemtl':
+                    startGroup(group.name, parts.slice(1).join(' '));
+                    break;
+                case 'mtllib':
+                    materials.push.apply(materials, parts.slice(1));
+                    break;
+            }
+        }
+        if(group.count === 0 && groups.length > 1) groups.pop();
+
+        var mesh = {
+            positions: new Float32Array(positions),
+            normals: new Float32Array(normals),
+            uvs: new Float32Array(uvs),
+            colors: hasColors ? new Float32Array(colors) : null,
+            indices: new Uint32Array(indices),
+            groups: groups,
+            materials: materials,
+            bbox: null,
+            center: [0, 0, 0],
+            meta: meta
+        };
+
+        if(missingNormals){
+            // Smooth over the file's own positions, then hand each output
+            // vertex the normal of the position it came from.
+            var smooth = computeNormals({
+                positions: new Float32Array(vertices),
+                indices: mesh.indices.map(function(index){ return sources[index]; })
+            }).normals;
+            for(var i = 0; i < sources.length; i++){
+                if(!isNaN(mesh.normals[i * 3])) continue;
+                mesh.normals[i * 3] = smooth[sources[i] * 3];
+                mesh.normals[i * 3 + 1] = smooth[sources[i] * 3 + 1];
+                mesh.normals[i * 3 + 2] = smooth[sources[i] * 3 + 2];
+            }
+        }
+
+        // The vertex average is over the file's positions, not the split copies.
+        var raw = measure({positions: vertices});
+        mesh.bbox = raw.bbox;
+        mesh.center = raw.center;
+        return mesh;
+    }
+
+    // Splits a polygon (a list of vertex indices into positions) into
+    // triangles by ear clipping, so concave faces come out right too.
+    // Returns offsets into `polygon`, three per triangle.
+    function triangulate(positions, polygon){
+        var n = polygon.length;
+        if(n < 3) return [];
+        if(n === 3) return [0, 1, 2];
+
+        // Project onto the plane the polygon mostly faces (Newell's method).
+        var normal = [0, 0, 0];
+        for(var i = 0; i < n; i++){
+            var a = polygon[i] * 3, b = polygon[(i + 1) % n] * 3;
+            normal[0] += (positions[a + 1] - positions[b + 1]) * (positions[a + 2] + positions[b + 2]);
+            normal[1] += (positions[a + 2] - positions[b + 2]) * (positions[a] + positions[b]);
+            normal[2] += (positions[a] - positions[b]) * (positions[a + 1] + positions[b + 1]);
+        }
+        var axis = 2;
+        if(Math.abs(normal[0]) > Math.abs(normal[axis])) axis = 0;
+        if(Math.abs(normal[1]) > Math.abs(normal[axis])) axis = 1;
+        var u = (axis + 1) % 3, v = (axis + 2) % 3;
+        var flip = normal[axis] < 0 ? -1 : 1;
+        var points = [];
+        for(var i = 0; i < n; i++){
+            points.push([positions[polygon[i] * 3 + u], positions[polygon[i] * 3 + v] * flip]);
+        }
+
+        var cross = function(o, a, b){
+            return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        };
+        var inside = function(p, a, b, c){
+            return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+        };
+
+        var remaining = [];
+        for(var i = 0; i < n; i++) remaining.push(i);
+        var result = [];
+        var guard = n * n;
+        while(remaining.length > 3 && guard-- > 0){
+            var count = remaining.length;
+            var clipped = false;
+            for(var i = 0; i < count; i++){
+                var prev = remaining[(i + count - 1) % count];
+                var curr = remaining[i];
+                var next = remaining[(i + 1) % count];
+                if(cross(points[prev], points[curr], points[next]) <= 0) continue;
+                var ear = true;
+                for(var j = 0; j < count; j++){
+                    var other = remaining[j];
+                    if(other === prev || other === curr || other === next) continue;
+                    if(inside(points[other], points[prev], points[curr], points[next])){
+                        ear = false;
+                        break;
+                    }
+                }
+                if(!ear) continue;
+                result.push(prev, curr, next);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            // Degenerate or self-intersecting polygon: fan what is left.
+            if(!clipped) break;
+        }
+        for(var i = 1; i + 1 < remaining.length; i++){
+            result.push(remaining[0], remaining[i], remaining[i + 1]);
+        }
+        return result;
+    }
+
+    function measure(mesh){
+        var p = mesh.positions;
+        var count = p.length / 3;
+        var min = [Infinity, Infinity, Infinity];
+        var max = [-Infinity, -Infinity, -Infinity];
+        var total = [0, 0, 0];
+        for(var i = 0; i < count; i++){
+            for(var k = 0; k < 3; k++){
+                var value = p[i * 3 + k];
+                total[k] += value;
+                if(value < min[k]) min[k] = value;
+                if(value > max[k]) max[k] = value;
+            }
+        }
+        mesh.bbox = count ? {min: min, max: max} : null;
+        mesh.center = count ? [total[0] / count, total[1] / count, total[2] / count] : [0, 0, 0];
+        return mesh;
+    }
+
+    // Smooth per vertex normals: the area weighted sum of the normals of
+    // every triangle touching the vertex.
+    function computeNormals(mesh){
+        var p = mesh.positions;
+        var idx = mesh.indices;
+        var normals = new Float32Array(p.length);
+        for(var i = 0; i < idx.length; i += 3){
+            var a = idx[i] * 3, b = idx[i + 1] * 3, c = idx[i + 2] * 3;
+            var ux = p[b] - p[a], uy = p[b + 1] - p[a + 1], uz = p[b + 2] - p[a + 2];
+            var vx = p[c] - p[b], vy = p[c + 1] - p[b + 1], vz = p[c + 2] - p[b + 2];
+            var nx = uy * vz - uz * vy;
+            var ny = uz * vx - ux * vz;
+            var nz = ux * vy - uy * vx;
+            normals[a] += nx; normals[a + 1] += ny; normals[a + 2] += nz;
+            normals[b] += nx; normals[b + 1] += ny; normals[b + 2] += nz;
+            normals[c] += nx; normals[c + 1] += ny; normals[c + 2] += nz;
+        }
+        for(var i = 0; i < normals.length; i += 3){
+            var length = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+            if(length > 0){
+                normals[i] /= length;
+                normals[i + 1] /= length;
+                normals[i + 2] /= length;
+            }
+        }
+        mesh.normals = normals;
+        return mesh;
+    }
+
+    // parseMTL(text) returns the materials of an .mtl file by name:
+    // {
+    //     "Bowler": {
+    //         name: "Bowler",
+    //         ambient: [r, g, b],      // Ka
+    //         diffuse: [r, g, b],      // Kd
+    //         specular: [r, g, b],     // Ks
+    //         shininess: 96,           // Ns
+    //         opacity: 1,              // d, or 1 - Tr
+    //         diffuseMap: "felt.png"   // map_Kd, or null
+    //     }
+    // }
+    function parseMTL(text){
+        var lines = String(text).split(/\r?\n/);
+        var materials = {};
+        var current = null;
+        var color = function(parts){
+            return [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
+        };
+        for(var i = 0; i < lines.length; i++){
+            var line = lines[i].trim();
+            if(line.length === 0 || line[0] === '#') continue;
+            var parts = line.split(/\s+/);
+            if(parts[0] === 'newmtl'){
+                current = {
+                    name: parts.slice(1).join(' '),
+                    ambient: [0, 0, 0],
+                    diffuse: [1, 1, 1],
+                    specular: [0, 0, 0],
+                    shininess: 0,
+                    opacity: 1,
+                    diffuseMap: null
+                };
+                materials[current.name] = current;
+                continue;
+            }
+            if(!current) continue;
+            switch(parts[0]){
+                case 'Ka': current.ambient = color(parts); break;
+                case 'Kd': current.diffuse = color(parts); break;
+                case 'Ks': current.specular = color(parts); break;
+                case 'Ns': current.shininess = parseFloat(parts[1]); break;
+                case 'd': current.opacity = parseFloat(parts[1]); break;
+                case 'Tr': current.opacity = 1 - parseFloat(parts[1]); break;
+                // Options like "-s 1 1 1" come before the file name.
+                case 'map_Kd': current.diffuseMap = parts[parts.length - 1]; break;
+            }
+        }
+        return materials;
+    }
+
+    return {
+        parse: parse,
+        parseMTL: parseMTL,
+        triangulate: triangulate,
+        measure: measure,
+        computeNormals: computeNormals
+    };
+}));
@@ -0,0 +1,100 @@
+// A small scene graph for the try-on viewer: the head is one node and every
+// accessory (hat, glasses, earrings, necklace...) hangs off it as a child
+// with its own transform, material and visibility.
+//
+// Nodes draw through the viewer's matrix stack (mvMatrix, mvPushMatrix,
+// mvPopMatrix, setMatrixUniforms) and mesh-renderer.js's drawMesh().
+
+function SceneNode(name) {
+    this.name = name;
+    this.parent = null;
+    this.children = [];
+
+    // Buffers from uploadMesh() and the mesh they came from; empty for
+    // grouping nodes like the scene root.
+    this.buffers = null;
+    this.mesh = null;
+
+    // Applied in this order and inherited by children: translate, rotate
+    // about Y, then X, then Z (radians), then uniform scale.
+    this.position = [0, 0, 0];
+    this.rotation = [0, 0, 0];
+    this.scale = 1.0;
+
+    // Applied to this node's own mesh only, after the transform above (so it
+    // is in scaled units). Used to recenter a mesh without moving children.
+    this.meshOffset = [0, 0, 0];
+
+    // When set, replaces every material the mesh would otherwise draw with.
+    this.material = null;
+    this.visible = true;
+
+    // Anchor metadata from anchors.js, for meshes that have a sidecar.
+    this.anchors = null;
+}
+
+SceneNode.prototype.add = function(child) {
+    if (child.parent) child.parent.remove(child);
+    child.parent = this;
+    this.children.push(child);
+    return child;
+};
+
+SceneNode.prototype.remove = function(child) {
+    var index = this.children.indexOf(child);
+    if (index !== -1) {
+        this.children.splice(index, 1);
+        child.parent = null;
+    }
+    return child;
+};
+
+// Depth first search by name, including this node.
+SceneNode.prototype.find = function(name) {
+    if (this.name === name) return this;
+    for (var i = 0; i < this.children.length; i++) {
+        var found = this.children[i].find(name);
+        if (found) return found;
+    }
+    return null;
+};
+
+SceneNode.prototype.setMesh = function(mesh, buffers) {
+    this.mesh = mesh;
+    this.buffers = buffers;
+};
+
+SceneNode.prototype.applyTransform = function(matrix) {
+    mat4.translate(matrix, matrix, this.position);
+    mat4.rotate(matrix, matrix, this.rotation[1], [0.0, 1.0, 0.0]);
+    mat4.rotate(matrix, matrix, this.rotation[0], [1.0, 0.0, 0.0]);
+    mat4.rotate(matrix, matrix, this.rotation[2], [0.0, 0.0, 1.0]);
+    mat4.scale(matrix, matrix, [this.scale, this.scale, this.scale]);
+    return matrix;
+};
+
+// Applies this node's transform and every ancestor's, i.e. takes `matrix`
+// from the root's space into this node's.
+SceneNode.prototype.applyWorldTransform = function(matrix) {
+    if (this.parent) this.parent.applyWorldTransform(matrix);
+    return this.applyTransform(matrix);
+};
+
+// A hidden node hides its children too, the way taking off a hat would
+// take off anything pinned to it.
+SceneNode.prototype.draw = function(gl) {
+    if (!this.visible) return;
+    mvPushMatrix();
+    this.applyTransform(mvMatrix);
+    if (this.buffers) {
+        mvPushMatrix();
+        mat4.translate(mvMatrix, mvMatrix, this.meshOffset);
+        setMatrixUniforms();
+        drawMesh(gl, this.buffers, this.material);
+        mvPopMatrix();
+    }
+    for (var i = 0; i < this.children.length; i++) {
+        this.children[i].draw(gl);
+    }
+    mvPopMatrix();
+};
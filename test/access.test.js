@@ -0,0 +1,336 @@
+var harness = require('./harness');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var net = require('net');
+var path = require('path');
+var http = require('http');
+var child_process = require('child_process');
+var upload = require('../lib/upload');
+var thumbnails = require('../lib/thumbnails');
+
+var test = harness.test;
+
+// Starts hack.js on a free port with its stores in a directory of its own,
+// and checks that private heads and what is built from them stay with their
+// owner. Uploaded files still go to public/models/; the head is deleted and
+// anything left of it removed afterwards.
+
+var ROOT = path.join(__dirname, '..');
+var server, port, dataDir;
+var owner = {cookies: {}}, other = {cookies: {}}, nobody = {cookies: {}};
+var head;
+
+// Sends a request as `who`, keeping their session cookie, and calls back
+// with the response and its body as a string.
+function request(who, method, url, body, headers, callback){
+    headers = headers || {};
+    var names = Object.keys(who.cookies);
+    if(names.length){
+        headers.Cookie = names.map(function(name){ return name + '=' + who.cookies[name]; }).join('; ');
+    }
+    if(body) headers['Content-Length'] = body.length;
+    var req = http.request({port: port, method: method, path: url, headers: headers}, function(res){
+        (res.headers['set-cookie'] || []).forEach(function(cookie){
+            var pair = cookie.split(';')[0].split('=');
+            who.cookies[pair[0]] = pair.slice(1).join('=');
+        });
+        var chunks = [];
+        res.on('data', function(chunk){ chunks.push(chunk); });
+        res.on('end', function(){
+            callback(res, Buffer.concat(chunks).toString('utf8'));
+        });
+    });
+    req.on('error', function(err){ callback(null, err.message); });
+    req.end(body);
+}
+
+function get(who, url, callback){
+    request(who, 'GET', url, null, null, callback);
+}
+
+function send(who, method, url, json, callback){
+    request(who, method, url, Buffer.from(typeof json === 'string' ? json : JSON.stringify(json)), {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+    }, callback);
+}
+
+function form(who, url, fields, callback){
+    request(who, 'POST', url, Buffer.from(new URLSearchParams(fields).toString()), {
+        'Content-Type': 'application/x-www-form-urlencoded'
+    }, callback);
+}
+
+function multipart(who, url, fields, files, callback){
+    var boundary = '----test' + Date.now();
+    var parts = [];
+    Object.keys(fields).forEach(function(name){
+        parts.push(Buffer.from('--' + boundary + '\r\nContent-Disposition: form-data; name="' + name + '"\r\n\r\n' + fields[name] + '\r\n'));
+    });
+    Object.keys(files).forEach(function(name){
+        parts.push(Buffer.from('--' + boundary + '\r\nContent-Disposition: form-data; name="' + name + '"; filename="' + files[name].name + '"\r\n' +
+            'Content-Type: application/octet-stream\r\n\r\n'));
+        parts.push(Buffer.from(files[name].text), Buffer.from('\r\n'));
+    });
+    parts.push(Buffer.from('--' + boundary + '--\r\n'));
+    request(who, 'POST', url, Buffer.concat(parts), {
+        'Content-Type': 'multipart/form-data; boundary=' + boundary,
+        'Accept': 'application/json'
+    }, callback);
+}
+
+// A rough head: a sphere 20 units across, latitude by longitude.
+function sphere(){
+    var lines = [], rings = 12, segments = 16;
+    for(var r = 0; r <= rings; r++){
+        var theta = Math.PI * r / rings;
+        for(var s = 0; s < segments; s++){
+            var phi = 2 * Math.PI * s / segments;
+            lines.push('v ' + [Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi)].map(function(c){
+                return (c * 10).toFixed(4);
+            }).join(' '));
+        }
+    }
+    for(r = 0; r < rings; r++){
+        for(s = 0; s < segments; s++){
+            var a = r * segments + s + 1, b = r * segments + (s + 1) % segments + 1;
+            lines.push('f ' + [a, b, b + segments, a + segments].join(' '));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// A look as the viewer's "Save look" sends it.
+function look(head, accessory){
+    return {
+        name: 'Test',
+        head: head,
+        accessories: [{accessory: accessory, slot: 'hat', position: [0, 1.9, 0], rotation: [0, 0, 0], scale: 3.4, offset: [0, 0, 0]}],
+        camera: {xoff: 0.6, yoff: 0.2, zoom: -4},
+        lighting: {ambient: [0.2, 0.2, 0.2], direction: [0, 0, 1], directional: [0.8, 0.8, 0.8], position: [0, 0.3, 55]}
+    };
+}
+
+function freePort(callback){
+    var probe = net.createServer();
+    probe.listen(0, function(){
+        var found = probe.address().port;
+        probe.close(function(){ callback(found); });
+    });
+}
+
+function waitForServer(tries, callback){
+    get(nobody, '/login', function(res){
+        if(res) return callback(null);
+        if(!tries) return callback(new Error("The server didn't start."));
+        setTimeout(function(){ waitForServer(tries - 1, callback); }, 250);
+    });
+}
+
+function removeDir(dir){
+    if(!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach(function(file){
+        var full = path.join(dir, file);
+        if(fs.statSync(full).isDirectory()) removeDir(full);
+        else fs.unlinkSync(full);
+    });
+    fs.rmdirSync(dir);
+}
+
+function register(who, name, callback){
+    form(who, '/register', {username: name, password: 'password123'}, function(res){
+        assert.strictEqual(res.statusCode, 302);
+        callback();
+    });
+}
+
+harness.before(function(done){
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'headhat-test-'));
+    freePort(function(found){
+        port = found;
+        server = child_process.spawn(process.execPath, [path.join(ROOT, 'hack.js')], {
+            cwd: ROOT,
+            env: Object.assign({}, process.env, {DATA_DIR: dataDir, PORT: String(port)}),
+            stdio: 'ignore'
+        });
+        waitForServer(120, function(err){
+            if(err) return done(err);
+            var suffix = Date.now().toString(36);
+            register(owner, 'owner' + suffix, function(){
+                register(other, 'other' + suffix, function(){
+                    multipart(owner, '/api/v1/heads', {name: 'Private head'}, {model: {name: 'head.obj', text: sphere()}}, function(res, body){
+                        assert.strictEqual(res.statusCode, 201, body);
+                        head = JSON.parse(body).id;
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('the owner gets their private head and its files', function(done){
+    get(owner, '/view/' + head, function(res){
+        assert.strictEqual(res.statusCode, 200);
+        get(owner, '/models/' + head + '.obj', function(res){
+            assert.strictEqual(res.statusCode, 200);
+            done();
+        });
+    });
+});
+
+test('someone else gets a 404 for the head, its files and its API route', function(done){
+    var urls = ['/view/' + head, '/models/' + head + '.obj', '/thumbs/' + head + '/front.png', '/api/v1/heads/' + head];
+    var next = function(i){
+        if(i === urls.length) return done();
+        get(other, urls[i], function(res){
+            assert.strictEqual(res.statusCode, 404, urls[i]);
+            next(i + 1);
+        });
+    };
+    next(0);
+});
+
+test('nobody gets the files by escaping the name', function(done){
+    var escaped = '%' + head.charCodeAt(0).toString(16) + head.substring(1);
+    var urls = ['/models/' + escaped + '.obj', '/models/' + escaped + '.mesh', '/thumbs/' + escaped + '/front.png'];
+    var next = function(i){
+        if(i === urls.length) return done();
+        get(nobody, urls[i], function(res){
+            assert.strictEqual(res.statusCode, 302, urls[i]);
+            assert.ok(/^\/login/.test(res.headers.location), res.headers.location);
+            next(i + 1);
+        });
+    };
+    next(0);
+});
+
+test('nobody gets the files through ".", ".." or empty segments', function(done){
+    var urls = [
+        '/models/./' + head + '.obj',
+        '/models//' + head + '.obj',
+        '/x/../models/' + head + '.obj',
+        '/models/%2e/' + head + '.mesh',
+        '/thumbs/./' + head + '/front.png'
+    ];
+    var next = function(i){
+        if(i === urls.length) return done();
+        get(nobody, urls[i], function(res){
+            assert.strictEqual(res.statusCode, 302, urls[i]);
+            assert.ok(/^\/login/.test(res.headers.location), res.headers.location);
+            next(i + 1);
+        });
+    };
+    next(0);
+});
+
+test('a head name no model could have is a 404, not part of the page', function(done){
+    get(nobody, '/view/x%3C%2Fscript%3E%3Cscript%3Ealert(1)%3C%2Fscript%3E', function(res, body){
+        assert.strictEqual(res.statusCode, 404);
+        assert.ok(body.indexOf('<script>alert(1)') === -1);
+        done();
+    });
+});
+
+test('a path that does not decode is refused', function(done){
+    get(nobody, '/models/%E0%A4%A.obj', function(res){
+        assert.strictEqual(res.statusCode, 400);
+        done();
+    });
+});
+
+test('fits are saved only by whoever may change the head', function(done){
+    var fit = {accessory: 'Bowler', position: [0, 10, 0], rotation: [0, 0, 0], scale: 3, offset: [0, 0, 0]};
+    send(nobody, 'POST', '/view/Bowler/fits', fit, function(res){
+        assert.strictEqual(res.statusCode, 401);
+        send(other, 'POST', '/view/' + head + '/fits', fit, function(res){
+            assert.strictEqual(res.statusCode, 404);
+            send(owner, 'POST', '/view/' + head + '/fits', {accessory: 'Nothing', position: [0, 0, 0], rotation: [0, 0, 0], scale: 1, offset: [0, 0, 0]}, function(res){
+                assert.strictEqual(res.statusCode, 404);
+                send(owner, 'POST', '/view/' + head + '/fits', fit, function(res){
+                    assert.strictEqual(res.statusCode, 200);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test('the API answers a body it cannot read in JSON', function(done){
+    send(owner, 'PUT', '/api/v1/heads/' + head + '/fits/Bowler', '{bad', function(res, body){
+        assert.strictEqual(res.statusCode, 400);
+        assert.ok(JSON.parse(body).error);
+        done();
+    });
+});
+
+test('looks need a head the user may see', function(done){
+    send(owner, 'POST', '/looks', look('../../data/users', 'Bowler'), function(res){
+        assert.strictEqual(res.statusCode, 400);
+        send(other, 'POST', '/looks', look(head, 'Bowler'), function(res){
+            assert.strictEqual(res.statusCode, 404);
+            send(owner, 'POST', '/looks', look('Nothing', 'Bowler'), function(res){
+                assert.strictEqual(res.statusCode, 404);
+                send(owner, 'POST', '/looks', look('Bowler', '../hack'), function(res){
+                    assert.strictEqual(res.statusCode, 400);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test('a shared look serves its own models and nothing else', function(done){
+    send(owner, 'POST', '/looks', look('Bowler', 'Bowler'), function(res, body){
+        assert.strictEqual(res.statusCode, 200, body);
+        send(owner, 'POST', '/looks/' + JSON.parse(body)._id + '/shares', {public: true}, function(res, body){
+            assert.strictEqual(res.statusCode, 201, body);
+            var share = JSON.parse(body)._id;
+            get(nobody, '/shares/' + share + '/models/Bowler.obj', function(res){
+                assert.strictEqual(res.statusCode, 200);
+                var urls = ['..%2F..%2Fhack.js', '..%2F..%2Fdata%2Fusers.json', 'Tophat.obj', head + '.obj'];
+                var next = function(i){
+                    if(i === urls.length) return done();
+                    get(nobody, '/shares/' + share + '/models/' + urls[i], function(res){
+                        assert.strictEqual(res.statusCode, 404, urls[i]);
+                        next(i + 1);
+                    });
+                };
+                next(0);
+            });
+        });
+    });
+});
+
+test('the share stub refuses links it cannot ask for', function(done){
+    var links = ['/shares/a b', '/shares/a\r\nX-Evil: 1', '/shares/../login', '/login'];
+    var next = function(i){
+        if(i === links.length) return done();
+        get(nobody, '/share-stub?u=' + encodeURIComponent('http://localhost:' + port + links[i]), function(res){
+            assert.strictEqual(res.statusCode, 400, links[i]);
+            next(i + 1);
+        });
+    };
+    next(0);
+});
+
+// Deletes the head as its owner would, then stops the server and removes
+// whatever of the head its background work left behind.
+harness.after(function(done){
+    var cleanUp = function(){
+        fs.readdirSync(upload.MODEL_DIR).forEach(function(file){
+            if(head && file.indexOf(head + '.') === 0) fs.unlinkSync(path.join(upload.MODEL_DIR, file));
+        });
+        if(head) removeDir(path.join(thumbnails.THUMB_DIR, head));
+        removeDir(dataDir);
+        done();
+    };
+    var stop = function(){
+        if(server.exitCode !== null || server.signalCode !== null) return cleanUp();
+        server.on('exit', cleanUp);
+        server.kill();
+    };
+    if(!head || server.exitCode !== null) return stop();
+    request(owner, 'DELETE', '/api/v1/heads/' + head, null, null, stop);
+});
@@ -0,0 +1,76 @@
+// Just enough of a test runner for test/: steps run one at a time in the
+// order they are declared, across every file required before the first one
+// starts. A step taking a `done` argument finishes when it calls it; an
+// exception, thrown or uncaught later, fails the step and the run moves on,
+// so after() still gets to clean up. Prints TAP and exits 1 on any failure.
+
+var STEP_TIMEOUT = 60 * 1000;
+
+var steps = [];
+var failures = 0;
+var count = 0;
+var current = null;
+
+function report(step, err){
+    if(step.hook && !err) return;
+    count++;
+    if(!err) return console.log("ok " + count + " - " + step.name);
+    failures++;
+    console.log("not ok " + count + " - " + step.name);
+    String(err && err.stack || err).split('\n').forEach(function(line){
+        console.log("  # " + line);
+    });
+}
+
+function run(i){
+    if(i === steps.length){
+        console.log("1.." + count);
+        process.exit(failures ? 1 : 0);
+    }
+    var step = steps[i];
+    var finished = false;
+    var finish = function(err){
+        if(finished) return;
+        finished = true;
+        clearTimeout(timer);
+        current = null;
+        report(step, err);
+        setImmediate(function(){ run(i + 1); });
+    };
+    var timer = setTimeout(function(){
+        finish(new Error("Timed out after " + STEP_TIMEOUT / 1000 + "s."));
+    }, STEP_TIMEOUT);
+    current = finish;
+    try{
+        if(step.fn.length) step.fn(function(err){ finish(err); });
+        else{
+            step.fn();
+            finish();
+        }
+    }catch(e){
+        finish(e);
+    }
+}
+
+process.on('uncaughtException', function(err){
+    if(!current) throw err;
+    current(err);
+});
+
+function add(step){
+    if(!steps.length) setImmediate(function(){ run(0); });
+    steps.push(step);
+}
+
+// test(name, fn): fn() or fn(done).
+exports.test = function(name, fn){
+    add({name: name, fn: fn});
+};
+
+// Setup and teardown, run where they are declared; only failures show.
+exports.before = function(fn){
+    add({name: "before", fn: fn, hook: true});
+};
+exports.after = function(fn){
+    add({name: "after", fn: fn, hook: true});
+};
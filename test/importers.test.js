@@ -0,0 +1,145 @@
+var test = require('./harness').test;
+var assert = require('assert');
+var OBJParser = require('../public/obj-parser');
+var importers = require('../lib/importers');
+var ply = require('../lib/ply');
+var stl = require('../lib/stl');
+
+// A unit square in the z = 0 plane, as one quad or two triangles.
+var CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]];
+var TRIANGLES = [[0, 1, 2], [0, 2, 3]];
+
+function asciiPLY(){
+    return Buffer.from([
+        'ply',
+        'format ascii 1.0',
+        'comment made by hand',
+        'element vertex 4',
+        'property float x',
+        'property float y',
+        'property float z',
+        'property uchar red',
+        'property uchar green',
+        'property uchar blue',
+        'element face 1',
+        'property list uchar int vertex_indices',
+        'end_header',
+        '0 0 0 255 0 0',
+        '1 0 0 0 255 0',
+        '1 1 0 0 0 255',
+        '0 1 0 255 255 255',
+        '4 0 1 2 3',
+        ''
+    ].join('\n'), 'binary');
+}
+
+function binaryPLY(){
+    var header = Buffer.from([
+        'ply',
+        'format binary_little_endian 1.0',
+        'element vertex 4',
+        'property float x',
+        'property float y',
+        'property float z',
+        'element face 2',
+        'property list uchar uint vertex_indices',
+        'end_header',
+        ''
+    ].join('\n'), 'binary');
+    var body = Buffer.alloc(4 * 12 + 2 * 13);
+    var at = 0;
+    CORNERS.forEach(function(corner){
+        corner.forEach(function(value){ at = body.writeFloatLE(value, at); });
+    });
+    TRIANGLES.forEach(function(triangle){
+        at = body.writeUInt8(3, at);
+        triangle.forEach(function(index){ at = body.writeUInt32LE(index, at); });
+    });
+    return Buffer.concat([header, body]);
+}
+
+function asciiSTL(){
+    var lines = ['solid square'];
+    TRIANGLES.forEach(function(triangle){
+        lines.push('  facet normal 0 0 1', '    outer loop');
+        triangle.forEach(function(index){ lines.push('      vertex ' + CORNERS[index].join(' ')); });
+        lines.push('    endloop', '  endfacet');
+    });
+    lines.push('endsolid square');
+    return Buffer.from(lines.join('\n'), 'binary');
+}
+
+function binarySTL(header){
+    var buffer = Buffer.alloc(84 + TRIANGLES.length * 50);
+    buffer.write(header, 0, 'binary');
+    buffer.writeUInt32LE(TRIANGLES.length, 80);
+    TRIANGLES.forEach(function(triangle, t){
+        var at = 84 + t * 50;
+        at = buffer.writeFloatLE(1, at + 8);
+        triangle.forEach(function(index){
+            CORNERS[index].forEach(function(value){ at = buffer.writeFloatLE(value, at); });
+        });
+    });
+    return buffer;
+}
+
+test('reads an ASCII PLY with colours and a quad', function(){
+    var mesh = ply.parse(asciiPLY());
+    assert.deepStrictEqual(mesh.positions, [].concat.apply([], CORNERS));
+    assert.deepStrictEqual(mesh.colors, [1, 0, 0, 0, 1, 0, 0, 0, 1, 1, 1, 1]);
+    assert.deepStrictEqual(mesh.faces, [[0, 1, 2, 3]]);
+});
+
+test('reads a binary PLY', function(){
+    var mesh = ply.parse(binaryPLY());
+    assert.deepStrictEqual(mesh.positions, [].concat.apply([], CORNERS));
+    assert.strictEqual(mesh.colors, null);
+    assert.deepStrictEqual(mesh.faces, TRIANGLES);
+});
+
+test('refuses a PLY whose faces point past its vertices', function(){
+    var text = asciiPLY().toString('binary').replace('4 0 1 2 3', '4 0 1 2 9');
+    assert.throws(function(){ ply.parse(Buffer.from(text, 'binary')); }, /refers to vertex 9/);
+});
+
+test('refuses a PLY point cloud', function(){
+    var text = asciiPLY().toString('binary').replace('element face 1', 'element face 0').replace('4 0 1 2 3\n', '');
+    assert.throws(function(){ ply.parse(Buffer.from(text, 'binary')); }, /no faces/);
+});
+
+test('refuses an element with items but no properties', function(){
+    var text = asciiPLY().toString('binary').replace('element face 1', 'element junk 4000000000\nelement face 1');
+    assert.throws(function(){ ply.parse(Buffer.from(text, 'binary')); }, /"junk" has items but no properties/);
+});
+
+test('refuses a PLY whose header promises more than it holds', function(){
+    var text = asciiPLY().toString('binary').replace('element face 1', 'element junk 4000000000\nproperty uchar value\nelement face 1');
+    assert.throws(function(){ ply.parse(Buffer.from(text, 'binary')); }, /more than the file holds/);
+    var binary = binaryPLY();
+    // Four vertices of three floats and two faces of at least a count byte.
+    assert.throws(function(){ ply.parse(binary.slice(0, binary.length - (4 * 12 + 2 * 13) + 4 * 12 + 1)); }, /more than the file holds/);
+});
+
+test('welds the corners of an ASCII STL', function(){
+    var mesh = stl.parse(asciiSTL());
+    assert.deepStrictEqual(mesh.positions, [].concat.apply([], CORNERS));
+    assert.deepStrictEqual(mesh.faces, TRIANGLES);
+});
+
+test('reads a binary STL whose header starts with "solid"', function(){
+    var mesh = stl.parse(binarySTL('solid but binary all the same'));
+    assert.deepStrictEqual(mesh.positions, [].concat.apply([], CORNERS));
+    assert.deepStrictEqual(mesh.faces, TRIANGLES);
+});
+
+// One that starts with "solid" and is the wrong size is taken for ASCII.
+test('refuses a binary STL cut short', function(){
+    assert.throws(function(){ stl.parse(binarySTL('square').slice(0, 84 + 50)); }, /says it has 2 triangles/);
+});
+
+test('writes imports as OBJ the parser reads back', function(){
+    var mesh = OBJParser.parse(importers.toOBJ(ply.parse(asciiPLY()), 'PLY'));
+    assert.deepStrictEqual(mesh.bbox, {min: [0, 0, 0], max: [1, 1, 0]});
+    assert.strictEqual(mesh.indices.length, 6);
+    assert.strictEqual(mesh.colors.length, 4 * 3);
+});
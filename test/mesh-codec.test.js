@@ -0,0 +1,71 @@
+var test = require('./harness').test;
+var assert = require('assert');
+var OBJParser = require('../public/obj-parser');
+var MeshCodec = require('../public/mesh-codec');
+
+// A pyramid with a textured, coloured base, in two groups.
+var PYRAMID = [
+    'mtllib pyramid.mtl',
+    '### 0.5 1 -2 90 3',
+    'v -1 0 -1 1 0 0',
+    'v 1 0 -1 0 1 0',
+    'v 1 0 1 0 0 1',
+    'v -1 0 1 1 1 0',
+    'v 0 2 0 1 1 1',
+    'vt 0 0',
+    'vt 1 0',
+    'vt 1 1',
+    'vt 0 1',
+    'g base',
+    'usemtl felt',
+    'f 1/1 2/2 3/3 4/4',
+    'g sides',
+    'usemtl ribbon',
+    'f 1 5 2',
+    'f 2 5 3',
+    'f 3 5 4',
+    'f 4 5 1'
+].join('\n');
+
+// Quantization costs a little accuracy: 16 bits across the bounds for
+// positions and uvs, 8 bits for colours, two signed bytes for normals.
+function assertClose(actual, expected, tolerance){
+    assert.strictEqual(actual.length, expected.length);
+    for(var i = 0; i < expected.length; i++){
+        assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, 'item ' + i + ': ' + actual[i] + ' is not ' + expected[i]);
+    }
+}
+
+test('decodes what it encodes', function(){
+    var mesh = OBJParser.parse(PYRAMID);
+    var decoded = MeshCodec.decode(MeshCodec.encode(mesh));
+    assert.deepStrictEqual(Array.from(decoded.indices), Array.from(mesh.indices));
+    assertClose(decoded.positions, mesh.positions, 2 / 65535);
+    assertClose(decoded.uvs, mesh.uvs, 1 / 65535);
+    assertClose(decoded.colors, mesh.colors, 1 / 255);
+    assertClose(decoded.normals, mesh.normals, 0.02);
+    assert.deepStrictEqual(decoded.groups, mesh.groups);
+    assert.deepStrictEqual(decoded.materials, mesh.materials);
+    assert.deepStrictEqual(decoded.bbox, mesh.bbox);
+    assertClose(decoded.center, mesh.center, 1e-6);
+    assert.deepStrictEqual(decoded.meta, mesh.meta);
+});
+
+test('leaves out colours a mesh has none of', function(){
+    var mesh = OBJParser.parse('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3');
+    var decoded = MeshCodec.decode(MeshCodec.encode(mesh));
+    assert.strictEqual(decoded.colors, null);
+    assert.strictEqual(decoded.meta, null);
+});
+
+test('reads from a Buffer as the server writes it', function(){
+    var bytes = MeshCodec.encode(OBJParser.parse(PYRAMID));
+    var buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.strictEqual(MeshCodec.decode(buffer).indices.length, 18);
+});
+
+test('refuses anything that is not a binary mesh', function(){
+    assert.throws(function(){
+        MeshCodec.decode(Buffer.from('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3'));
+    }, /Not a binary mesh/);
+});
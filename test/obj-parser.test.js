@@ -0,0 +1,50 @@
+var test = require('./harness').test;
+var assert = require('assert');
+var OBJParser = require('../public/obj-parser');
+
+var QUAD = [
+    'mtllib quad.mtl',
+    '### 1 2 3 45 2.5',
+    'v 0 0 0',
+    'v 2 0 0',
+    'v 2 2 0',
+    'v 0 2 0',
+    'vt 0 0',
+    'vt 1 0',
+    'vt 1 1',
+    'vt 0 1',
+    'g front',
+    'usemtl felt',
+    'f 1/1 2/2 3/3 4/4'
+].join('\n');
+
+test('splits a quad into two triangles', function(){
+    var mesh = OBJParser.parse(QUAD);
+    assert.strictEqual(mesh.positions.length, 4 * 3);
+    var indices = Array.from(mesh.indices);
+    assert.strictEqual(indices.length, 6);
+    assert.deepStrictEqual(indices.slice().sort().filter(function(index, i, all){ return all.indexOf(index) === i; }), [0, 1, 2, 3]);
+    assert.deepStrictEqual(Array.from(mesh.uvs), [0, 0, 1, 0, 1, 1, 0, 1]);
+    assert.strictEqual(mesh.colors, null);
+});
+
+test('reads the bounds, centre, groups, materials and meta line', function(){
+    var mesh = OBJParser.parse(QUAD);
+    assert.deepStrictEqual(mesh.bbox, {min: [0, 0, 0], max: [2, 2, 0]});
+    assert.deepStrictEqual(mesh.center, [1, 1, 0]);
+    assert.deepStrictEqual(mesh.groups, [{name: 'front', material: 'felt', start: 0, count: 6}]);
+    assert.deepStrictEqual(mesh.materials, ['quad.mtl']);
+    assert.deepStrictEqual(mesh.meta, {x: 1, y: 2, z: 3, rot: 45, scale: 2.5});
+});
+
+test('smooths normals the file leaves out', function(){
+    var mesh = OBJParser.parse(QUAD);
+    for(var i = 0; i < mesh.normals.length; i += 3){
+        assert.deepStrictEqual(Array.from(mesh.normals.subarray(i, i + 3)), [0, 0, 1]);
+    }
+});
+
+test('keeps vertex colours from "v x y z r g b"', function(){
+    var mesh = OBJParser.parse('v 0 0 0 1 0 0\nv 1 0 0 0 1 0\nv 0 1 0 0 0 1\nf 1 2 3');
+    assert.deepStrictEqual(Array.from(mesh.colors), [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+});
@@ -0,0 +1,42 @@
+var test = require('./harness').test;
+var assert = require('assert');
+var OBJParser = require('../public/obj-parser');
+var validator = require('../lib/obj-validator');
+
+function reasons(report){
+    return report.problems.map(function(problem){ return problem.line + ': ' + problem.reason; });
+}
+
+test('passes a triangle and sanitizes its mtllib', function(){
+    var report = validator.validate('mtllib ../../secret/tri.mtl\nv 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3');
+    assert.deepStrictEqual(reasons(report), []);
+    assert.strictEqual(report.stats.faces, 1);
+    assert.strictEqual(report.sanitized.split('\n')[0], 'mtllib tri.mtl');
+});
+
+test('counts negative indices back from the vertices above', function(){
+    assert.ok(validator.validate('v 0 0 0\nv 1 0 0\nv 0 1 0\nf -3 -2 -1').valid);
+    assert.deepStrictEqual(reasons(validator.validate('v 0 0 0\nv 1 0 0\nf -3 -2 -1\nv 0 1 0')),
+        ['3: Index -3 is out of range (2 "v" entries available)']);
+});
+
+// The parser reads the file in one pass, so it could only make NaNs of these.
+test('refuses faces that refer to vertices, uvs or normals below them', function(){
+    var text = 'v 0 0 0\nv 1 0 0\nf 1 2 3\nv 0 1 0';
+    assert.deepStrictEqual(reasons(validator.validate(text)), ['3: Index 3 is out of range (2 "v" entries available)']);
+    text = 'v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1/1 2/1 3/1\nvt 0 0';
+    assert.deepStrictEqual(reasons(validator.validate(text)), [
+        '4: Index 1/1 is out of range (0 "vt" entries available)',
+        '4: Index 2/1 is out of range (0 "vt" entries available)',
+        '4: Index 3/1 is out of range (0 "vt" entries available)'
+    ]);
+    text = 'v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1//1 2//1 3//1\nvn 0 0 1';
+    assert.strictEqual(validator.validate(text).valid, false);
+});
+
+test('passes only what the parser can read', function(){
+    var report = validator.validate('v 0 0 0\nv 1 0 0\nv 0 1 0\nvn 0 0 1\nf 1//1 2//1 3//1');
+    var mesh = OBJParser.parse(report.sanitized);
+    Array.prototype.forEach.call(mesh.positions, function(value){ assert.ok(isFinite(value)); });
+    Array.prototype.forEach.call(mesh.normals, function(value){ assert.ok(isFinite(value)); });
+});
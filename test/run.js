@@ -0,0 +1,12 @@
+var fs = require('fs');
+var path = require('path');
+
+// Runs every test/*.test.js (see harness.js):
+//     node test/run.js
+// or one file on its own:
+//     node test/mesh-codec.test.js
+fs.readdirSync(__dirname).filter(function(file){
+    return /\.test\.js$/.test(file);
+}).sort().forEach(function(file){
+    require(path.join(__dirname, file));
+});